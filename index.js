@@ -17,7 +17,20 @@ const LOG_PREFIX = '[ReDraft]';
 const defaultSettings = Object.freeze({
     enabled: true,
     autoRefine: false,
+    autoRefineBeforeRender: false, // Refine at generation end, before the message is shown
+    // Conditions a message must meet to be auto-refined (lengths in characters, 0 = no limit)
+    autoRefineFilters: {
+        minLength: 0,
+        maxLength: 0,
+        characters: '', // Comma-separated names; empty = everyone
+        skipProtectedOnly: true,
+        skipAfterNoChange: false,
+    },
     connectionMode: 'st', // 'st' or 'plugin'
+    pluginProfile: '', // Server plugin connection profile for manual refines ('' = plugin default)
+    autoPluginProfile: '', // ...and for auto-refine ('' = same as manual)
+    retries: 2, // Plugin-side retries after a rate limit, server error or timeout
+    fallbacks: [], // Connections tried in order when the main one fails: 'st' or 'plugin:<profile>'
     builtInRules: {
         grammar: true,
         echo: true,
@@ -31,7 +44,40 @@ const defaultSettings = Object.freeze({
     customRules: [],
     systemPrompt: '',
     showDiffAfterRefine: true,
+    diffGranularity: 'word', // Diff view detail: 'char' | 'word' | 'sentence'
+    diffLayout: 'inline', // 'inline' or 'split' (original and refined side by side)
+    reviewBeforeApply: false,
+    candidateCount: 1, // >1 generates several refinements to pick from
     pov: 'auto', // 'auto' | 'detect' | '1st' | '1.5' | '2nd' | '3rd'
+    // Context sent alongside the message; budgets are in tokens (0 = no limit)
+    contextSources: {
+        character: { enabled: true, budget: 500 },
+        scenario: { enabled: true, budget: 300 },
+        persona: { enabled: true, budget: 300 },
+        worldInfo: { enabled: false, budget: 800 },
+        authorsNote: { enabled: false, budget: 200 },
+        examples: { enabled: false, budget: 500 },
+        recentMessages: { enabled: true, budget: 1000, count: 2 },
+    },
+    // User-message refinement: own rule set, buttons on user bubbles, optional refine-before-send
+    userRules: {
+        grammar: true,
+        formatting: true,
+        expand: false, // rewrites shorthand into prose — off by default
+    },
+    userMessageButtons: true,
+    refineBeforeSend: false,
+    profiles: [], // Named rule sets: { id, name, builtInRules, customRules, pov, systemPrompt }
+    profileBindings: { characters: {}, chats: {} }, // avatar / chat id → profile id
+    // Sampling overrides for refinement calls; null / empty = the connection's own setting
+    sampling: {
+        temperature: null,
+        topP: null,
+        frequencyPenalty: null,
+        presencePenalty: null,
+        maxTokens: null,
+        stop: [],
+    },
     hasSeenHint: false,
 });
 
@@ -54,38 +100,79 @@ const POV_INSTRUCTIONS = {
 const BUILTIN_RULES = {
     grammar: {
         label: 'Fix grammar & spelling',
+        aliases: ['grammar', 'spelling', 'typo'], // Names the model may use for this rule in the changelog
         prompt: 'Fix grammatical errors, spelling mistakes, and awkward phrasing. Do not alter intentional dialect, slang, verbal tics, or character-specific speech patterns \u2014 only correct genuine errors. Preserve intentional sentence fragments used for rhythm or voice.',
     },
     echo: {
         label: 'Remove echo & restatement',
-        prompt: 'Using the "Last user message" from context above, scan for sentences where the character restates, paraphrases, or references the user\'s previous message instead of advancing the scene.\n\nBANNED patterns \u2014 if the sentence matches, cut and replace with forward motion:\n1. Character speaks ABOUT what user said/did (any tense): "You\'re asking me to..." / "You said..." / "You want me to..."\n2. "That/this" referring to user\'s input: "That\'s not what you..." / "This is about..."\n3. Reframing: "Not [user\'s word] \u2014 [character\'s word]." / "In other words..."\n4. Processing narration: "Your words [verb]..." (hung, landed, settled) / Character processing what user said / Italicized replays of user\'s dialogue as character thought.\n\nCheck the WHOLE response, not just the opening. Replace cut content with character action \u2014 what they do next, not what they think about what was said. One-word acknowledgment permitted ("Yeah." / nod), then forward.',
+        aliases: ['echo', 'restatement'],
+        prompt: 'Using the latest user message in "Recent messages" from context above, scan for sentences where the character restates, paraphrases, or references the user\'s previous message instead of advancing the scene.\n\nBANNED patterns \u2014 if the sentence matches, cut and replace with forward motion:\n1. Character speaks ABOUT what user said/did (any tense): "You\'re asking me to..." / "You said..." / "You want me to..."\n2. "That/this" referring to user\'s input: "That\'s not what you..." / "This is about..."\n3. Reframing: "Not [user\'s word] \u2014 [character\'s word]." / "In other words..."\n4. Processing narration: "Your words [verb]..." (hung, landed, settled) / Character processing what user said / Italicized replays of user\'s dialogue as character thought.\n\nCheck the WHOLE response, not just the opening. Replace cut content with character action \u2014 what they do next, not what they think about what was said. One-word acknowledgment permitted ("Yeah." / nod), then forward.',
     },
     repetition: {
         label: 'Reduce repetition',
-        prompt: 'Using the "Previous response ending" from context above, scan for repetitive elements within this response AND compared to the previous response:\n1. Repeated physical actions: Same gesture appearing twice+ (crossing arms, sighing, looking away). Replace the second instance with a different physical expression.\n2. Repeated sentence structures: Same openings, same punctuation patterns, same metaphor family used twice+.\n3. Repeated emotional beats: Character hitting the same note twice without progression. If angry twice, the second should be a different texture.\n\nDo NOT remove intentional repetition for rhetorical effect (anaphora, callbacks, echoed dialogue). Only flag mechanical/unconscious repetition.',
+        aliases: ['repetition', 'repeat'],
+        prompt: 'Using the previous character response in "Recent messages" from context above, scan for repetitive elements within this response AND compared to the previous response:\n1. Repeated physical actions: Same gesture appearing twice+ (crossing arms, sighing, looking away). Replace the second instance with a different physical expression.\n2. Repeated sentence structures: Same openings, same punctuation patterns, same metaphor family used twice+.\n3. Repeated emotional beats: Character hitting the same note twice without progression. If angry twice, the second should be a different texture.\n\nDo NOT remove intentional repetition for rhetorical effect (anaphora, callbacks, echoed dialogue). Only flag mechanical/unconscious repetition.',
     },
     voice: {
         label: 'Maintain character voice',
-        prompt: 'Using the "Character" context provided above, verify each character\'s dialogue is distinct and consistent:\n1. Speech patterns: If a character uses contractions, slang, verbal tics, or specific vocabulary \u2014 preserve them. Do not polish rough speech into grammatically correct prose.\n2. Voice flattening: If multiple characters speak, their dialogue should sound different. Flag if all characters use the same register or vocabulary level.\n3. Register consistency: A casual character shouldn\'t suddenly become eloquent mid-scene (unless that shift IS the point).\n\nDo not homogenize dialogue. A character\'s voice is more important than technically "correct" writing.',
+        aliases: ['voice', 'dialogue'],
+        prompt: 'Using the "Character" context provided above (and the "Voice attribution" list in group scenes, which says who speaks each quoted line), verify each character\'s dialogue is distinct and consistent:\n1. Speech patterns: If a character uses contractions, slang, verbal tics, or specific vocabulary \u2014 preserve them. Do not polish rough speech into grammatically correct prose.\n2. Voice flattening: If multiple characters speak, their dialogue should sound different. Flag if all characters use the same register or vocabulary level.\n3. Register consistency: A casual character shouldn\'t suddenly become eloquent mid-scene (unless that shift IS the point).\n\nDo not homogenize dialogue. A character\'s voice is more important than technically "correct" writing.',
     },
     prose: {
         label: 'Clean up prose',
+        aliases: ['prose', 'clich', 'purple', 'filter'],
         prompt: 'Scan for common AI prose weaknesses. Per issue found, make the minimum surgical fix:\n1. Somatic clich\u00e9s: "breath hitched/caught," "heart skipped/clenched," "stomach dropped/tightened," "shiver down spine." Replace with plain statement or specific physical detail.\n2. Purple prose: "Velvety voice," "liquid tone," "fluid grace," "pregnant pause," cosmic melodrama. Replace with concrete, grounded language.\n3. Filter words: "She noticed," "he felt," "she realized." Cut the filter \u2014 go direct.\n4. Telling over showing: "She felt sad" / "He was angry." Replace with embodied reactions ONLY if the telling is genuinely weaker.\n\nDo NOT over-edit. If prose is functional and voice-consistent, leave it alone. This rule targets clear weaknesses, not style preferences.',
     },
     formatting: {
         label: 'Fix formatting',
+        aliases: ['formatting', 'format'],
         prompt: 'Ensure consistent formatting within the response\'s existing convention:\n1. Fix orphaned formatting marks (unclosed asterisks, mismatched quotes, broken tags)\n2. Fix inconsistent style (mixing *asterisks* and _underscores_ for the same purpose)\n3. Ensure dialogue punctuation is consistent with the established convention\n\nDo not change the author\'s chosen formatting convention \u2014 only correct errors within it.',
     },
     ending: {
         label: 'Fix crafted endings',
+        aliases: ['ending', 'dismount'],
         prompt: 'Check if the response ends with a "dismount" \u2014 a crafted landing designed to feel like an ending rather than a mid-scene pause.\n\nDISMOUNT patterns to fix:\n1. Dialogue payload followed by physical stillness: "Her thumb rested on his pulse." \u2014 body part + state verb + location as final beat.\n2. Fragment clusters placed after dialogue for weight: "One beat." / "Counting." / "Still."\n3. Summary narration re-describing the emotional state of the scene.\n4. Poetic/philosophical final line \u2014 theatrical closing statements.\n5. Double dismount: two landing constructions stacked.\n\nFIX: Find the last line of dialogue or action with unresolved consequences. Cut everything after it. If the response has no dialogue (pure narration/action), find the last action with unresolved consequences and cut any stillness or summary after it. The response should end mid-scene.\n\nEXCEPTION: If the scene is genuinely concluding (location change, time skip, departure), one clean landing beat is permitted.',
     },
     lore: {
         label: 'Maintain lore consistency',
-        prompt: 'Using the "Character" context provided above, flag only glaring contradictions with established character/world information. Examples: wrong eye color, wrong relationship status, referencing events that didn\'t happen, contradicting established abilities.\n\nDo not invent new lore. When uncertain, preserve the original phrasing rather than "correcting" it. Minor ambiguities are not errors.',
+        aliases: ['lore', 'consistency'],
+        prompt: 'Using the "Character", "Scenario" and "World Info" context provided above (where present), flag only glaring contradictions with established character/world information. Examples: wrong eye color, wrong relationship status, referencing events that didn\'t happen, contradicting established abilities.\n\nDo not invent new lore. When uncertain, preserve the original phrasing rather than "correcting" it. Minor ambiguities are not errors.',
+    },
+};
+
+// Rules for the user's own messages — lighter-touch than the AI prose rules
+const USER_RULES = {
+    grammar: {
+        label: 'Fix typos & grammar',
+        aliases: ['typo', 'grammar', 'spelling'],
+        prompt: 'Fix typos, spelling mistakes, missing capitalization and punctuation. Keep the player\'s wording, slang, tone and intentional style \u2014 correct errors only, do not rephrase sentences that are already correct.',
+    },
+    formatting: {
+        label: 'Fix formatting',
+        aliases: ['formatting', 'format'],
+        prompt: 'Normalize roleplay formatting to the convention the chat already uses (e.g. *asterisks for actions*, "quotes for dialogue"). Close unclosed marks and separate action from dialogue where they run together. Do not change the content.',
+    },
+    expand: {
+        label: 'Expand shorthand',
+        aliases: ['expand', 'shorthand'],
+        prompt: 'Expand terse shorthand into full sentences (e.g. "*nods* ok lets go" or "goes to door, knocks"), keeping the player\'s point of view and tense. Only express what the player wrote \u2014 never add new actions, dialogue, decisions or feelings. Keep the result short: at most about twice the original length.',
     },
 };
 
+const USER_SYSTEM_PROMPT = `You are a proofreader for a roleplay player's own messages. The message you receive was written by the human player, not the AI. Apply the given rules with a light touch: the player's intent, choices and voice are final.
+
+Core principles:
+- Never add actions, dialogue, thoughts or decisions the player did not write
+- Never speak or act for other characters
+- Preserve the player's tone, slang and style; fix only what the rules ask for
+- Keep the player's point of view and tense
+
+Output format (MANDATORY \u2014 always follow this structure):
+1. First, output a changelog inside [CHANGELOG]...[/CHANGELOG] tags listing each change you made and which rule motivated it. One line per change. If a rule required no changes, omit it.
+2. Then output the full refined message inside [REFINED]...[/REFINED] tags with no other commentary.
+
+Do NOT output any analysis, reasoning, or commentary outside the tags. Only output the two tagged blocks.`;
+
 const DEFAULT_SYSTEM_PROMPT = `You are a roleplay prose editor. You refine AI-generated roleplay messages by applying specific rules while preserving the author's creative intent.
 
 Core principles:
@@ -119,9 +206,15 @@ You will be given the original message, a set of refinement rules to apply, and
 // ─── State ──────────────────────────────────────────────────────────
 
 let isRefining = false; // Re-entrancy guard
+let activeAbortController = null; // Aborts the refinement in flight (Cancel button)
+let activeConnectionMode = null; // 'st' or 'plugin' while a refinement request is out
 let pluginAvailable = false; // Whether server plugin is reachable
+let pluginProfiles = []; // Connection profiles from the plugin's GET /profiles (no secrets)
 let eventListenerRefs = {}; // For cleanup
 let _popoutOutsideClickRef = null; // Ref to the click-outside listener for cleanup
+let lastWorldInfoEntries = []; // World Info entries activated by the most recent generation
+let preRenderKey = null; // Message key while auto-refining a new message before it is rendered
+let lastAutoRefineUnchanged = false; // The previous auto-refine in this chat changed nothing
 
 /**
  * Hide the popout panel and clean up the click-outside listener.
@@ -136,12 +229,29 @@ function hidePopout() {
     }
 }
 
-// Global keydown handler for ESC
+// Global keydown handler for ESC, and n / p to step through diff changes
 function onGlobalKeydown(e) {
+    const diffOverlay = document.getElementById('redraft_diff_overlay');
+    // Keys typed into a field (e.g. the diff popup's editor) are text, not shortcuts:
+    // closing the popup from there would throw the edit, or a whole review, away
+    const typing = !!e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+    if (diffOverlay && typing) return;
+    if (diffOverlay && (e.key === 'n' || e.key === 'p') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        e.preventDefault();
+        stepDiffChange(diffOverlay, e.key === 'n' ? 1 : -1);
+        return;
+    }
     if (e.key !== 'Escape') return;
     // Close diff popup first (higher z-index)
-    const diffOverlay = document.getElementById('redraft_diff_overlay');
     if (diffOverlay) { closeDiffPopup(); return; }
+    const candidatesOverlay = document.getElementById('redraft_candidates_overlay');
+    if (candidatesOverlay) { closeCandidatePopup(); return; }
+    const historyOverlay = document.getElementById('redraft_history_overlay');
+    if (historyOverlay) { closeHistoryPopup(); return; }
+    const batchOverlay = document.getElementById('redraft_batch_overlay');
+    if (batchOverlay) { closeBatchSummary(); return; }
+    const promptOverlay = document.getElementById('redraft_prompt_overlay');
+    if (promptOverlay) { closePromptPreview(); return; }
     // Then close popout
     const popout = document.getElementById('redraft_popout_panel');
     if (popout && popout.style.display !== 'none') { hidePopout(); }
@@ -169,15 +279,28 @@ function saveSettings() {
     saveSettingsDebounced();
 }
 
+/**
+ * Pick the rule set for a message: AI messages use the built-in and custom rules,
+ * user messages use USER_RULES only.
+ * @returns {{builtIns: object, enabled: object, customRules: Array}}
+ */
+function getRuleSet(settings, isUser = false) {
+    return isUser
+        ? { builtIns: USER_RULES, enabled: settings.userRules, customRules: [] }
+        : { builtIns: BUILTIN_RULES, enabled: settings.builtInRules, customRules: settings.customRules };
+}
+
 /**
  * Compile active rules into a numbered list string.
+ * @param {boolean} [isUser=false] Compile the user-message rule set instead
  */
-function compileRules(settings) {
+function compileRules(settings, isUser = false) {
     const rules = [];
+    const { builtIns, enabled, customRules } = getRuleSet(settings, isUser);
 
     // Built-in rules — emit detailed prompts, not labels
-    for (const [key, rule] of Object.entries(BUILTIN_RULES)) {
-        if (settings.builtInRules[key]) {
+    for (const [key, rule] of Object.entries(builtIns)) {
+        if (enabled[key]) {
             rules.push(rule.prompt);
             console.debug(`${LOG_PREFIX} [rules] Built-in ON: ${key}`);
         } else {
@@ -186,8 +309,8 @@ function compileRules(settings) {
     }
 
     // Custom rules in order
-    for (let i = 0; i < settings.customRules.length; i++) {
-        const rule = settings.customRules[i];
+    for (let i = 0; i < customRules.length; i++) {
+        const rule = customRules[i];
         if (rule.enabled && rule.text && rule.text.trim()) {
             rules.push(rule.text.trim());
             console.debug(`${LOG_PREFIX} [rules] Custom #${i} ON: "${rule.text.trim().substring(0, 80)}${rule.text.trim().length > 80 ? '…' : ''}"`);
@@ -206,11 +329,39 @@ function compileRules(settings) {
     return compiled;
 }
 
+/**
+ * List the active rules in the same order compileRules() numbers them.
+ * Keys are BUILTIN_RULES keys, or `custom:<index>` for custom rules.
+ * @returns {Array<{key: string, label: string}>}
+ */
+function getActiveRules(settings, isUser = false) {
+    const rules = [];
+    const { builtIns, enabled, customRules } = getRuleSet(settings, isUser);
+    for (const [key, rule] of Object.entries(builtIns)) {
+        if (enabled[key]) rules.push({ key, label: rule.label });
+    }
+    customRules.forEach((rule, i) => {
+        if (rule.enabled && rule.text && rule.text.trim()) {
+            const text = rule.text.trim();
+            rules.push({ key: `custom:${i}`, label: rule.label || (text.length > 40 ? text.substring(0, 40) + '…' : text) });
+        }
+    });
+    return rules;
+}
+
+/**
+ * List the labels of all active rules, for recording alongside a revision.
+ */
+function getActiveRuleLabels(settings, isUser = false) {
+    return getActiveRules(settings, isUser).map(rule => rule.label);
+}
+
 /**
  * Strip structured content from text, replacing with placeholders.
  * Protects code fences, HTML/XML tags, and bracket-delimited blocks
  * from being mangled by the refinement LLM.
- * Returns { stripped, blocks } where blocks is the array of original content.
+ * Returns { stripped, blocks, anchors } where blocks is the array of original
+ * content and anchors records where each placeholder sat (see getBlockAnchors).
  */
 function stripProtectedBlocks(text) {
     const blocks = [];
@@ -242,27 +393,216 @@ function stripProtectedBlocks(text) {
         return `[PROTECTED_${blocks.length - 1}]`;
     });
 
-    return { stripped: result, blocks };
+    return { stripped: result, blocks, anchors: getBlockAnchors(result, blocks.length) };
+}
+
+const ANCHOR_CONTEXT_LENGTH = 80; // Characters of surrounding text remembered per placeholder
+
+/**
+ * Record where each placeholder sits in the stripped text, so a block the LLM
+ * drops or moves can be put back near its original position.
+ * Blocks nested inside another block (e.g. a code fence inside a <details>)
+ * travel with their parent and get a null anchor.
+ * @param {string} stripped Text with placeholders
+ * @param {number} count Number of blocks
+ * @returns {Array<{before: string, after: string, offset: number, ownLine: boolean}|null>}
+ *   before/after: surrounding text (other placeholders removed); offset: relative
+ *   position 0..1; ownLine: the placeholder is on a line of its own
+ */
+function getBlockAnchors(stripped, count) {
+    const clean = (text) => text.replace(/\[PROTECTED_\d+\]/g, '');
+    const anchors = [];
+    for (let i = 0; i < count; i++) {
+        const placeholder = `[PROTECTED_${i}]`;
+        const pos = stripped.indexOf(placeholder);
+        if (pos < 0) {
+            anchors.push(null);
+            continue;
+        }
+        const end = pos + placeholder.length;
+        const before = stripped.substring(0, pos);
+        const after = stripped.substring(end);
+        anchors.push({
+            before: clean(before).slice(-ANCHOR_CONTEXT_LENGTH),
+            after: clean(after).slice(0, ANCHOR_CONTEXT_LENGTH),
+            offset: stripped.length > placeholder.length ? pos / (stripped.length - placeholder.length) : 0,
+            ownLine: /(^|\n)[ \t]*$/.test(before) && /^[ \t]*(\n|$)/.test(after),
+        });
+    }
+    return anchors;
+}
+
+/**
+ * Find where a placeholder belongs in rewritten text: right after the words
+ * that preceded it, or right before the words that followed it, trying shorter
+ * phrases as the wording drifts. Falls back to the same relative position.
+ * @param {string} text
+ * @param {{before: string, after: string, offset: number}} anchor
+ * @returns {number} Character index
+ */
+function findAnchorPosition(text, anchor) {
+    const expected = Math.round(anchor.offset * text.length);
+    // Of several matches, take the one nearest to where the block used to be
+    const nearest = (needle, shift) => {
+        let best = -1;
+        for (let idx = text.indexOf(needle); idx >= 0; idx = text.indexOf(needle, idx + 1)) {
+            const pos = idx + shift;
+            if (best < 0 || Math.abs(pos - expected) < Math.abs(best - expected)) best = pos;
+        }
+        return best;
+    };
+    const beforeWords = anchor.before.split(/\s+/).filter(Boolean);
+    const afterWords = anchor.after.split(/\s+/).filter(Boolean);
+    for (const count of [6, 4, 2]) {
+        if (beforeWords.length >= count) {
+            const needle = beforeWords.slice(-count).join(' ');
+            const pos = nearest(needle, needle.length);
+            if (pos >= 0) return pos;
+        }
+        if (afterWords.length >= count) {
+            const pos = nearest(afterWords.slice(0, count).join(' '), 0);
+            if (pos >= 0) return pos;
+        }
+    }
+    return Math.min(text.length, Math.max(0, expected));
+}
+
+/**
+ * Insert a placeholder at a position, on its own line if it was on one.
+ */
+function insertPlaceholder(text, placeholder, pos, ownLine) {
+    if (!ownLine) {
+        const space = pos > 0 && !/\s/.test(text[pos - 1]) ? ' ' : '';
+        return text.substring(0, pos) + space + placeholder + text.substring(pos);
+    }
+    if (pos === 0 || text[pos - 1] === '\n') {
+        return text.substring(0, pos) + placeholder + '\n' + text.substring(pos);
+    }
+    const lineEnd = text.indexOf('\n', pos);
+    const at = lineEnd < 0 ? text.length : lineEnd;
+    return text.substring(0, at) + '\n' + placeholder + text.substring(at);
+}
+
+/**
+ * Remove one placeholder occurrence, with the line break or space it leaves over.
+ */
+function removePlaceholderAt(text, pos, length) {
+    const prev = text[pos - 1];
+    const next = text[pos + length];
+    const emptiesLine = prev === '\n' && (next === '\n' || next === undefined);
+    const doubleSpace = prev === ' ' && (next === undefined || /[\s.,!?;:]/.test(next));
+    const start = emptiesLine || doubleSpace ? pos - 1 : pos;
+    // At the very start there is no preceding break or space, so take the following one
+    const end = pos + length + (pos === 0 && (next === '\n' || next === ' ') ? 1 : 0);
+    return text.substring(0, start) + text.substring(end);
 }
 
 /**
  * Restore protected blocks from placeholders.
+ *
+ * The LLM's placeholders are repaired first, so no block is lost or doubled:
+ *   - duplicates: the copy nearest the block's original position is kept
+ *   - unknown or nested placeholders (never sent to the LLM) are removed
+ *   - out-of-order placeholders are moved back next to their original surroundings
+ *   - dropped placeholders are re-inserted there too
+ * @param {string} text Refined text with placeholders
+ * @param {string[]} blocks From stripProtectedBlocks()
+ * @param {Array} [anchors] From stripProtectedBlocks(); without them repairs go at the end
+ * @returns {{text: string, repairs: {restored: number[], moved: number[], duplicated: number[]}}}
  */
-function restoreProtectedBlocks(text, blocks) {
-    // Replace placeholders that the LLM kept intact
-    let result = text.replace(/\[PROTECTED_(\d+)\]/g, (_, idx) => {
-        return blocks[parseInt(idx, 10)] || '';
-    });
+function restoreProtectedBlocks(text, blocks, anchors = []) {
+    const repairs = { restored: [], moved: [], duplicated: [] };
+    const fallbackAnchor = { before: '', after: '', offset: 1, ownLine: true };
+    const anchorOf = (i) => anchors[i] || fallbackAnchor;
+    const isTopLevel = (i) => i < blocks.length && (anchors.length === 0 || !!anchors[i]);
+    const occurrences = () => [...text.matchAll(/\[PROTECTED_(\d+)\]/g)]
+        .map(match => ({ index: parseInt(match[1], 10), pos: match.index, length: match[0].length }));
+
+    // Drop placeholders the LLM made up, and all but the best-placed copy of duplicates
+    const keep = new Map();
+    for (const occ of occurrences()) {
+        if (!isTopLevel(occ.index)) continue;
+        const expected = findAnchorPosition(text, anchorOf(occ.index));
+        const best = keep.get(occ.index);
+        if (best) {
+            if (!repairs.duplicated.includes(occ.index)) repairs.duplicated.push(occ.index);
+            if (Math.abs(occ.pos - expected) >= Math.abs(best.pos - expected)) continue;
+        }
+        keep.set(occ.index, occ);
+    }
+    for (const occ of occurrences().reverse()) {
+        if (keep.get(occ.index)?.pos !== occ.pos) text = removePlaceholderAt(text, occ.pos, occ.length);
+    }
 
-    // Safety net: if the LLM dropped any placeholders, append the missing content
-    // so protected blocks are never permanently lost
-    for (let i = 0; i < blocks.length; i++) {
-        if (!text.includes(`[PROTECTED_${i}]`)) {
-            result = result + '\n' + blocks[i];
+    // Placeholders outside the longest run in original order were moved by the LLM — pull them out
+    const present = occurrences();
+    const inOrder = new Set(longestIncreasingSubsequence(present.map(occ => anchorOf(occ.index).offset))
+        .map(k => present[k].index));
+    for (const occ of occurrences().reverse()) {
+        if (!inOrder.has(occ.index)) {
+            text = removePlaceholderAt(text, occ.pos, occ.length);
+            repairs.moved.push(occ.index);
         }
     }
 
-    return result;
+    // Put every missing block back next to its original surroundings
+    for (let i = 0; i < blocks.length; i++) {
+        if (!isTopLevel(i) || text.includes(`[PROTECTED_${i}]`)) continue;
+        if (!repairs.moved.includes(i)) repairs.restored.push(i);
+        const anchor = anchorOf(i);
+        text = insertPlaceholder(text, `[PROTECTED_${i}]`, findAnchorPosition(text, anchor), anchor.ownLine);
+    }
+    repairs.moved.sort((a, b) => a - b);
+
+    // Blocks can contain other blocks' placeholders, so expand until none are left
+    let result = text;
+    for (let depth = 0; depth <= blocks.length && /\[PROTECTED_\d+\]/.test(result); depth++) {
+        result = result.replace(/\[PROTECTED_(\d+)\]/g, (_, idx) => blocks[parseInt(idx, 10)] ?? '');
+    }
+
+    return { text: result, repairs };
+}
+
+/**
+ * Find a longest strictly increasing subsequence (patience sorting).
+ * @param {number[]} values
+ * @returns {number[]} Indices into values of its elements, in order
+ */
+function longestIncreasingSubsequence(values) {
+    const tails = []; // tails[k] = index into values of the smallest tail of a run of length k+1
+    const prev = new Array(values.length).fill(-1);
+    values.forEach((value, i) => {
+        let lo = 0;
+        let hi = tails.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (values[tails[mid]] < value) lo = mid + 1;
+            else hi = mid;
+        }
+        if (lo > 0) prev[i] = tails[lo - 1];
+        tails[lo] = i;
+    });
+    const run = [];
+    for (let i = tails[tails.length - 1] ?? -1; i >= 0; i = prev[i]) run.unshift(i);
+    return run;
+}
+
+/**
+ * Describe placeholder repairs for the diff view.
+ * @param {{restored: number[], moved: number[], duplicated: number[]}} repairs
+ * @param {string[]} blocks
+ * @returns {string[]}
+ */
+function describeBlockRepairs(repairs, blocks) {
+    const name = (i) => {
+        const preview = blocks[i].replace(/\s+/g, ' ').trim();
+        return `block ${i + 1} (${preview.length > 30 ? preview.substring(0, 30) + '\u2026' : preview})`;
+    };
+    return [
+        ...repairs.restored.map(i => `Protected ${name(i)} was dropped and has been put back near its original position`),
+        ...repairs.moved.map(i => `Protected ${name(i)} was moved and has been put back near its original position`),
+        ...repairs.duplicated.map(i => `Protected ${name(i)} appeared more than once; only one copy was kept`),
+    ];
 }
 
 /**
@@ -273,14 +613,18 @@ function restoreProtectedBlocks(text, blocks) {
  *   1. [REFINED]...[/REFINED] tags — positive extraction, ignores all reasoning
  *   2. [CHANGELOG]...[/CHANGELOG] tags — takes text after the block
  *   3. Fallback — uses entire response as refined text
+ *
+ * format records which of these applied: 'refined' | 'changelog' | 'untagged'.
  */
 function parseChangelog(responseText) {
     let changelog = null;
     let refined;
+    let format = 'untagged';
 
     // Priority 1: Look for [REFINED]...[/REFINED] — most reliable
     const refinedMatch = responseText.match(/\[REFINED\]\s*([\s\S]*?)\s*\[\/REFINED\]/i);
     if (refinedMatch) {
+        format = 'refined';
         refined = refinedMatch[1].trim();
         // Also extract changelog if present
         const changelogMatch = responseText.match(/\[CHANGELOG\]\s*([\s\S]*?)\s*\[\/CHANGELOG\]/i);
@@ -291,6 +635,7 @@ function parseChangelog(responseText) {
         if (match) {
             changelog = match[1].trim();
             refined = responseText.substring(match.index + match[0].length).trim();
+            format = 'changelog';
         } else {
             // Priority 3: Unclosed [CHANGELOG] tag — split on double-newline
             match = responseText.match(/\[CHANGELOG\]\s*([\s\S]*?)$/i);
@@ -300,6 +645,7 @@ function parseChangelog(responseText) {
                 if (splitIdx !== -1) {
                     changelog = remainder.substring(0, splitIdx).trim();
                     refined = remainder.substring(splitIdx).trim();
+                    format = 'changelog';
                 }
             }
         }
@@ -308,12 +654,81 @@ function parseChangelog(responseText) {
     // Fallback
     if (!refined) {
         refined = responseText.trim();
+        format = 'untagged';
     }
 
     // Always strip any leftover tag markers from the refined text
     refined = refined.replace(/\[\/?(?:REFINED|CHANGELOG)\]/gi, '').trim();
 
-    return { changelog, refined };
+    return { changelog, refined, format };
+}
+
+/**
+ * Split a changelog into structured "Rule: change" entries and resolve each
+ * rule name to an active rule — by built-in name/alias, custom rule label,
+ * or the "Rule N" numbering used in the prompt.
+ * @param {string|null} changelog Raw changelog from parseChangelog()
+ * @param {object} settings
+ * @param {boolean} [isUser=false] Resolve against the user-message rule set
+ * @returns {Array<{rule: string|null, label: string|null, text: string}>}
+ */
+function parseChangelogEntries(changelog, settings, isUser = false) {
+    if (!changelog) return [];
+    const { builtIns } = getRuleSet(settings, isUser);
+    const activeRules = getActiveRules(settings, isUser);
+    const customRules = activeRules.filter(rule => rule.key.startsWith('custom:'));
+
+    const resolveRule = (name) => {
+        const lower = name.toLowerCase().trim();
+        const numbered = lower.match(/^(custom\s+)?rule\s*#?(\d+)$/) || lower.match(/^custom\s*#?(\d+)$/);
+        if (numbered) {
+            const n = parseInt(numbered[numbered.length - 1], 10) - 1;
+            return (lower.startsWith('custom') ? customRules : activeRules)[n] || null;
+        }
+        for (const [key, rule] of Object.entries(builtIns)) {
+            if (lower === key || lower === rule.label.toLowerCase() || rule.aliases.some(alias => lower.includes(alias))) {
+                return { key, label: rule.label };
+            }
+        }
+        return customRules.find(rule => rule.label.toLowerCase() === lower
+            || (lower.length >= 4 && rule.label.toLowerCase().includes(lower))) || null;
+    };
+
+    return changelog.split('\n')
+        .map(line => line.replace(/^\s*(?:[-*\u2022]|\d+[.)])\s*/, '').trim())
+        .filter(Boolean)
+        .map(line => {
+            const match = line.match(/^([^:]{1,60}):\s*(.+)$/);
+            if (!match) return { rule: null, label: null, text: line };
+            const rule = resolveRule(match[1]);
+            return {
+                rule: rule ? rule.key : null,
+                label: rule ? rule.label : match[1].trim(),
+                text: match[2].trim(),
+            };
+        });
+}
+
+/**
+ * Find the diff hunks a changelog entry describes, using the text it quotes.
+ * @param {{text: string}} entry
+ * @param {ReturnType<typeof buildHunks>} hunks
+ * @returns {number[]} Indices of matching change hunks
+ */
+function findEntryHunks(entry, hunks) {
+    const quotes = [...entry.text.matchAll(/["\u201C\u201D]([^"\u201C\u201D]{2,}?)["\u201C\u201D]/g)]
+        .map(m => m[1].trim().toLowerCase())
+        .filter(Boolean);
+    if (quotes.length === 0) return [];
+
+    const linked = [];
+    hunks.forEach((hunk, i) => {
+        if (hunk.type !== 'change') return;
+        const sides = [hunk.del, hunk.ins].map(t => t.trim().toLowerCase()).filter(Boolean);
+        const matches = sides.some(side => quotes.some(q => side.includes(q) || (side.length >= 3 && q.includes(side))));
+        if (matches) linked.push(i);
+    });
+    return linked;
 }
 
 /**
@@ -337,13 +752,102 @@ function detectPov(text) {
     return null;
 }
 
+// ─── Output Validation ──────────────────────────────────────────────
+
+// Refined/original prose length outside these bounds suggests a truncated or padded result
+const LENGTH_RATIO_LIMITS = { min: 0.5, max: 2, maxExpanding: 4 };
+const MIN_LENGTH_FOR_RATIO = 100; // Short messages change length too much to judge
+
+// Assistant chatter that doesn't belong in a message (only flagged if the original has none)
+const META_COMMENTARY_PATTERNS = [
+    /^\s*(?:sure|certainly|of course|okay)[,!]/i,
+    /^\s*(?:here(?:'s| is) (?:the|your|a) (?:refined|revised|edited|polished|updated|improved|corrected)|below is)\b/im,
+    /^\s*i(?:'ve| have) (?:refined|revised|edited|applied|made the following|fixed)\b/im,
+    /^\s*\(?(?:note|changes made|refined (?:message|text|version)|original message|rules)\s*:/im,
+    /<\/?think(?:ing)?>/i,
+];
+
+/**
+ * Check a parsed response before it is written into the chat.
+ * Runs on the text as sent (protected blocks still as placeholders).
+ * @param {{refined: string, format: string}} parsed From parseChangelog()
+ * @param {{original: string, blockCount: number, pov: string, expanding?: boolean}} expected
+ *   original: message text as sent; pov: PoV the prompt asked for ('auto' = keep the
+ *   original's); expanding: rules allow the message to grow a lot
+ * @returns {Array<{code: string, message: string}>} Problems found; empty = valid
+ */
+function validateRefinement(parsed, { original, blockCount, pov, expanding = false }) {
+    const issues = [];
+    const { refined } = parsed;
+    const prose = (text) => text.replace(/\[PROTECTED_\d+\]/g, '').trim();
+
+    if (parsed.format === 'untagged') {
+        issues.push({ code: 'format', message: 'The response was not wrapped in [REFINED]...[/REFINED]' });
+    }
+
+    const originalLength = prose(original).length;
+    if (originalLength >= MIN_LENGTH_FOR_RATIO) {
+        const ratio = prose(refined).length / originalLength;
+        const max = expanding ? LENGTH_RATIO_LIMITS.maxExpanding : LENGTH_RATIO_LIMITS.max;
+        if (ratio < LENGTH_RATIO_LIMITS.min || ratio > max) {
+            issues.push({
+                code: 'length',
+                message: `The refined message is ${Math.round(ratio * 100)}% of the original's length (expected ${LENGTH_RATIO_LIMITS.min * 100}\u2013${max * 100}%)`,
+            });
+        }
+    }
+
+    const missing = [];
+    const repeated = [];
+    for (let i = 0; i < blockCount; i++) {
+        const count = refined.split(`[PROTECTED_${i}]`).length - 1;
+        if (count === 0) missing.push(`[PROTECTED_${i}]`);
+        else if (count > 1) repeated.push(`[PROTECTED_${i}]`);
+    }
+    const unknown = [...refined.matchAll(/\[PROTECTED_(\d+)\]/g)]
+        .filter(match => parseInt(match[1], 10) >= blockCount)
+        .map(match => match[0]);
+    if (missing.length) issues.push({ code: 'placeholder', message: `Protected placeholders are missing: ${missing.join(', ')}` });
+    if (repeated.length) issues.push({ code: 'placeholder', message: `Protected placeholders appear more than once: ${repeated.join(', ')}` });
+    if (unknown.length) issues.push({ code: 'placeholder', message: `Unknown placeholders were added: ${[...new Set(unknown)].join(', ')}` });
+
+    const meta = META_COMMENTARY_PATTERNS.find(pattern => pattern.test(refined) && !pattern.test(original));
+    if (meta) {
+        const line = refined.split('\n').find(l => meta.test(l)) || refined;
+        issues.push({ code: 'meta', message: `The refined text contains commentary: "${line.trim().substring(0, 60)}"` });
+    }
+
+    const expectedPov = pov && pov !== 'auto' ? pov : detectPov(prose(original));
+    const actualPov = detectPov(prose(refined));
+    if (expectedPov && actualPov && expectedPov !== actualPov) {
+        issues.push({ code: 'pov', message: `Point of view drifted from ${POV_LABELS[expectedPov]} to ${POV_LABELS[actualPov]}` });
+    }
+
+    return issues;
+}
+
+/**
+ * Ask again after a response failed validation, saying what was wrong with it.
+ * @param {string} promptText The original refinement prompt
+ * @param {Array<{message: string}>} issues From validateRefinement()
+ */
+function buildCorrectivePrompt(promptText, issues) {
+    return `${promptText}
+
+Your previous response could not be used:
+${issues.map(issue => `- ${issue.message}`).join('\n')}
+
+Refine the original message again. Output [CHANGELOG]...[/CHANGELOG], then the complete refined message inside [REFINED]...[/REFINED]. Keep every [PROTECTED_N] placeholder exactly once, keep the point of view, and add no commentary, notes or reasoning.`;
+}
+
 /**
  * Call the server plugin API.
  */
-async function pluginRequest(endpoint, method = 'GET', body = null) {
+async function pluginRequest(endpoint, method = 'GET', body = null, signal = undefined) {
     const options = {
         method,
         headers: { 'Content-Type': 'application/json' },
+        signal,
     };
     if (body) {
         options.body = JSON.stringify(body);
@@ -351,11 +855,108 @@ async function pluginRequest(endpoint, method = 'GET', body = null) {
     const response = await fetch(`${PLUGIN_BASE}${endpoint}`, options);
     const data = await response.json();
     if (!response.ok) {
-        throw new Error(data.error || `Server returned ${response.status}`);
+        throw pluginError(data, response.status);
     }
     return data;
 }
 
+/**
+ * Error for a failed plugin call. Keeps the HTTP status and, for /refine,
+ * the plugin's own failed attempts (see its retry handling).
+ * @param {object} data Parsed error body
+ * @param {number} status
+ * @returns {Error}
+ */
+function pluginError(data, status) {
+    const error = new Error(data?.error || `Server returned ${status}`);
+    error.status = status;
+    if (Array.isArray(data?.attempts)) error.attempts = data.attempts;
+    return error;
+}
+
+/**
+ * Call a streaming server plugin endpoint and consume its SSE events.
+ * Events are { delta } chunks, ending in { done: true, attempts } or
+ * { error, attempts }; a stream that closes without either is treated as truncated.
+ * An error event throws like pluginError, with the plugin's failed attempts attached.
+ * @param {string} endpoint
+ * @param {object} body
+ * @param {{signal?: AbortSignal, onDelta?: (text: string) => void}} options
+ *   onDelta receives the full text accumulated so far
+ * @returns {Promise<{text: string, attempts: Array}>} The full streamed text, and the
+ *   plugin's failed attempts before it succeeded
+ */
+async function pluginStreamRequest(endpoint, body, { signal, onDelta } = {}) {
+    const response = await fetch(`${PLUGIN_BASE}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, stream: true }),
+        signal,
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw pluginError(data, response.status);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let finished = false;
+    let attempts = [];
+
+    const handleEvent = (event) => {
+        const data = event.replace(/^data:\s*/, '').trim();
+        if (!data) return;
+        let payload;
+        try {
+            payload = JSON.parse(data);
+        } catch {
+            throw new Error('Plugin sent a malformed stream event');
+        }
+        if (payload.error) throw pluginError(payload, null);
+        if (payload.delta) {
+            text += payload.delta;
+            onDelta?.(text);
+        }
+        if (payload.done) {
+            finished = true;
+            if (Array.isArray(payload.attempts)) attempts = payload.attempts;
+        }
+    };
+
+    while (!finished) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value, { stream: !done });
+
+        const events = buffer.split('\n\n');
+        buffer = done ? '' : events.pop();
+        events.forEach(handleEvent);
+        if (done) break;
+    }
+
+    // Without the done event the upstream dropped or the connection was cut mid-response
+    if (!finished) {
+        throw new Error('Plugin stream ended before the response was complete');
+    }
+    return { text, attempts };
+}
+
+/**
+ * Reject as soon as the signal aborts, even if the wrapped promise can't be cancelled.
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ */
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new DOMException('Refinement cancelled', 'AbortError'));
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
 // ─── Plugin Status ──────────────────────────────────────────────────
 
 async function checkPluginStatus() {
@@ -365,6 +966,7 @@ async function checkPluginStatus() {
         updateStatusDot(status.configured);
         updateConnectionInfo(status);
         updatePluginBanner();
+        await loadPluginProfiles();
         return status;
     } catch {
         pluginAvailable = false;
@@ -402,7 +1004,8 @@ function updateConnectionInfo(status) {
     if (!pluginAvailable) {
         info.textContent = 'Plugin unavailable';
     } else if (status?.configured) {
-        info.textContent = `${status.model} (${status.maskedKey})`;
+        const prefix = status.profiles?.length > 1 ? `${status.defaultProfile}: ` : '';
+        info.textContent = `${prefix}${status.model} (${status.maskedKey})`;
     } else {
         info.textContent = 'Not configured';
     }
@@ -421,280 +1024,2273 @@ function updatePluginBanner() {
     }
 }
 
-function updateConnectionModeUI() {
-    const settings = getSettings();
-    const pluginFields = document.getElementById('redraft_plugin_fields');
-    const stModeInfo = document.getElementById('redraft_st_mode_info');
-
-    if (pluginFields) {
-        pluginFields.style.display = settings.connectionMode === 'plugin' ? '' : 'none';
-    }
-    if (stModeInfo) {
-        stModeInfo.style.display = settings.connectionMode === 'st' ? '' : 'none';
-    }
+// ─── Connection Profiles ────────────────────────────────────────────
 
-    updateStatusDot(null);
-    updatePluginBanner();
-}
+const DEFAULT_CONNECTION_PROFILE = 'Default'; // Matches the plugin's name for a migrated single connection
 
-// ─── Core Refinement (Dual-Mode) ────────────────────────────────────
+// Provider adapters the server plugin supports; placeholders show each one's usual base URL
+const PLUGIN_PROVIDERS = {
+    openai: { url: 'https://api.openai.com/v1', model: 'gpt-4o-mini', requiresKey: true },
+    anthropic: { url: 'https://api.anthropic.com/v1', model: 'claude-3-5-haiku-latest', requiresKey: true },
+    gemini: { url: 'https://generativelanguage.googleapis.com/v1beta', model: 'gemini-1.5-flash', requiresKey: true },
+    ollama: { url: 'http://localhost:11434', model: 'llama3.1', requiresKey: false },
+    kobold: { url: 'http://localhost:5001', model: '(loaded model)', requiresKey: false },
+};
 
 /**
- * Send refinement request via ST's generateRaw().
+ * Fetch the plugin's connection profiles and refresh every profile picker.
  */
-async function refineViaST(promptText, systemPrompt) {
-    const { generateRaw } = SillyTavern.getContext();
-    if (typeof generateRaw !== 'function') {
-        throw new Error('generateRaw is not available in this version of SillyTavern');
+async function loadPluginProfiles() {
+    try {
+        const data = await pluginRequest('/profiles');
+        pluginProfiles = data.profiles || [];
+    } catch (err) {
+        console.warn(`${LOG_PREFIX} Could not load connection profiles:`, err.message);
+        pluginProfiles = [];
     }
+    renderPluginProfileUI();
+}
 
-    const result = await generateRaw({ prompt: promptText, systemPrompt: systemPrompt });
-
-    if (!result || typeof result !== 'string' || !result.trim()) {
-        throw new Error('ST generated an empty response');
+/**
+ * Fill the connection profile editor and the manual/auto/popout pickers.
+ * @param {string} [editName] Profile to show in the editor
+ */
+function renderPluginProfileUI(editName) {
+    const settings = getSettings();
+    // Options are built as elements, not HTML: profile names may contain quotes
+    const profileOptions = () => pluginProfiles.map(p => new Option(p.model ? `${p.name} \u2014 ${p.model}` : p.name, p.name));
+    const defaultName = pluginProfiles.find(p => p.isDefault)?.name;
+    const defaultLabel = defaultName ? `Plugin default (${defaultName})` : 'Plugin default';
+
+    const pickers = {
+        redraft_plugin_profile: { value: settings.pluginProfile, empty: defaultLabel },
+        redraft_popout_plugin_profile: { value: settings.pluginProfile, empty: defaultLabel },
+        redraft_auto_plugin_profile: { value: settings.autoPluginProfile, empty: 'Same as manual' },
+    };
+    for (const [id, { value, empty }] of Object.entries(pickers)) {
+        const select = document.getElementById(id);
+        if (!select) continue;
+        select.replaceChildren(new Option(empty, ''), ...profileOptions());
+        select.value = pluginProfiles.some(p => p.name === value) ? value : '';
     }
 
-    return result.trim();
+    renderFallbackList();
+
+    const editor = document.getElementById('redraft_conn_profile');
+    if (editor) {
+        const current = editName ?? editor.value;
+        editor.replaceChildren(...(pluginProfiles.length
+            ? profileOptions()
+            : [new Option(DEFAULT_CONNECTION_PROFILE, DEFAULT_CONNECTION_PROFILE)]));
+        // Keep a profile that was just created in the editor but isn't saved yet
+        if (current && !pluginProfiles.some(p => p.name === current)) {
+            editor.add(new Option(`${current} (unsaved)`, current));
+        }
+        editor.value = current || defaultName || editor.options[0]?.value || '';
+        fillConnectionFields(editor.value);
+    }
 }
 
 /**
- * Send refinement request via server plugin.
+ * Render the fallback chain editor: one connection picker per fallback.
  */
-async function refineViaPlugin(promptText, systemPrompt) {
-    const messages = [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: promptText },
-    ];
-
-    const result = await pluginRequest('/refine', 'POST', { messages });
-
-    if (!result.text || !result.text.trim()) {
-        throw new Error('Plugin returned an empty response');
-    }
+function renderFallbackList() {
+    const list = document.getElementById('redraft_fallback_list');
+    if (!list) return;
+    const targets = ['st', 'plugin:', ...pluginProfiles.map(p => `plugin:${p.name}`)];
+
+    list.innerHTML = getSettings().fallbacks.map((_, i) => `
+        <div class="redraft-profile-row" data-index="${i}">
+            <span class="redraft-fallback-number">${i + 1}.</span>
+            <select class="redraft-fallback-select"></select>
+            <div class="menu_button menu_button_icon redraft-fallback-remove" title="Remove fallback">
+                <i class="fa-solid fa-xmark"></i>
+            </div>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.redraft-profile-row').forEach(row => {
+        const index = parseInt(row.dataset.index, 10);
+        const select = row.querySelector('.redraft-fallback-select');
+        const value = getSettings().fallbacks[index];
+        // Keep a fallback whose profile isn't listed (plugin offline) rather than silently dropping it.
+        // Options are built as elements since profile names may contain quotes.
+        select.replaceChildren(...(targets.includes(value) ? targets : [...targets, value])
+            .map(target => new Option(parseConnectionTarget(target)?.label || target, target)));
+        select.value = value;
+        select.addEventListener('change', () => {
+            getSettings().fallbacks[index] = select.value;
+            saveSettings();
+        });
+        row.querySelector('.redraft-fallback-remove').addEventListener('click', () => {
+            getSettings().fallbacks.splice(index, 1);
+            saveSettings();
+            renderFallbackList();
+        });
+    });
+}
 
-    return result.text.trim();
+function addFallback() {
+    const s = getSettings();
+    // Suggest the ST connection first when refining through the plugin, and vice versa
+    s.fallbacks.push(s.connectionMode === 'plugin' && !s.fallbacks.includes('st') ? 'st' : 'plugin:');
+    saveSettings();
+    renderFallbackList();
 }
 
 /**
- * Refine a message at the given index.
- * @param {number} messageIndex Index in context.chat
+ * Show a profile's saved values in the connection fields. The key is never
+ * sent back by the plugin, so a blank key field means "keep the saved key".
  */
-async function redraftMessage(messageIndex) {
-    if (isRefining) {
-        console.debug(`${LOG_PREFIX} Already refining, skipping`);
-        return;
-    }
+function fillConnectionFields(name) {
+    const profile = pluginProfiles.find(p => p.name === name);
+    const set = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.value = value ?? '';
+    };
+    set('redraft_provider', profile?.provider || 'openai');
+    updateProviderPlaceholders();
+    set('redraft_api_url', profile?.apiUrl);
+    set('redraft_model', profile?.model);
+    set('redraft_max_tokens', profile?.maxTokens);
+    set('redraft_api_key', '');
+    clearModelList();
+    const keyField = document.getElementById('redraft_api_key');
+    if (keyField && profile?.maskedKey) keyField.placeholder = `Saved (${profile.maskedKey}) \u2014 leave blank to keep`;
+}
 
-    const context = SillyTavern.getContext();
-    const { chat, saveChat, chatMetadata, saveMetadata } = context;
+/**
+ * Point the URL/model/key placeholders at the selected provider's defaults.
+ */
+function updateProviderPlaceholders() {
+    const provider = PLUGIN_PROVIDERS[document.getElementById('redraft_provider')?.value] || PLUGIN_PROVIDERS.openai;
+    const urlField = document.getElementById('redraft_api_url');
+    if (urlField) urlField.placeholder = provider.url;
+    const modelField = document.getElementById('redraft_model');
+    if (modelField) modelField.placeholder = provider.model;
+    const keyField = document.getElementById('redraft_api_key');
+    if (keyField) keyField.placeholder = provider.requiresKey ? 'sk-...' : 'Optional';
+}
 
-    if (!chat || messageIndex < 0 || messageIndex >= chat.length) {
-        toastr.error('Invalid message index', 'ReDraft');
+function createConnectionProfile() {
+    const name = prompt('Name for the new connection profile:')?.trim();
+    if (!name) return;
+    if (pluginProfiles.some(p => p.name === name)) {
+        toastr.warning(`A profile named "${name}" already exists`, 'ReDraft');
         return;
     }
+    renderPluginProfileUI(name);
+    toastr.info('Fill in the connection and press Save Connection', 'ReDraft');
+}
 
-    const message = chat[messageIndex];
-    if (!message || !message.mes) {
-        toastr.error('Message has no text content', 'ReDraft');
+async function deleteConnectionProfile() {
+    const name = document.getElementById('redraft_conn_profile')?.value;
+    if (!name || !pluginProfiles.some(p => p.name === name)) {
+        renderPluginProfileUI('');
         return;
     }
+    if (!confirm(`Delete connection profile "${name}"?`)) return;
+    try {
+        await pluginRequest(`/profiles/${encodeURIComponent(name)}`, 'DELETE');
+        const s = getSettings();
+        if (s.pluginProfile === name) s.pluginProfile = '';
+        if (s.autoPluginProfile === name) s.autoPluginProfile = '';
+        s.fallbacks = s.fallbacks.filter(value => value !== `plugin:${name}`);
+        saveSettings();
+        toastr.success(`Profile "${name}" deleted`, 'ReDraft');
+        await checkPluginStatus();
+        renderPluginProfileUI('');
+    } catch (err) {
+        toastr.error(err.message || 'Failed to delete profile', 'ReDraft');
+    }
+}
 
-    const settings = getSettings();
-
-    // Check if plugin mode is selected but plugin is unavailable
-    if (settings.connectionMode === 'plugin' && !pluginAvailable) {
-        toastr.error('Server plugin is not available. Switch to ST mode or install the plugin.', 'ReDraft');
+async function setDefaultConnectionProfile() {
+    const name = document.getElementById('redraft_conn_profile')?.value;
+    if (!name || !pluginProfiles.some(p => p.name === name)) {
+        toastr.warning('Save the profile first', 'ReDraft');
         return;
     }
+    try {
+        await pluginRequest(`/profiles/${encodeURIComponent(name)}/default`, 'POST');
+        toastr.success(`"${name}" is now the default connection`, 'ReDraft');
+        await checkPluginStatus();
+    } catch (err) {
+        toastr.error(err.message || 'Failed to set default profile', 'ReDraft');
+    }
+}
 
-    // Set re-entrancy guard
-    isRefining = true;
-    setPopoutTriggerLoading(true);
-
-    // Clean up stale undo/diff buttons from prior refinement of this message
-    // (fixes compare showing wrong diff after swiping in auto mode)
-    hideUndoButton(messageIndex);
-    hideDiffButton(messageIndex);
-
-    // Show loading state on the message button + toast
-    setMessageButtonLoading(messageIndex, true);
-    toastr.info('Refining message\u2026', 'ReDraft');
+/**
+ * Connection fields as typed, for /test and /models. Without an API URL the
+ * saved profile is used as-is; a blank key falls back to the saved one only
+ * while the URL is still the one it was saved with.
+ */
+function getConnectionFormBody() {
+    const value = (id) => document.getElementById(id)?.value?.trim() || '';
+    const body = { profile: value('redraft_conn_profile') || undefined };
+    const apiUrl = value('redraft_api_url');
+    if (apiUrl) {
+        body.provider = value('redraft_provider') || 'openai';
+        body.apiUrl = apiUrl;
+        body.model = value('redraft_model');
+        if (value('redraft_api_key')) body.apiKey = value('redraft_api_key');
+    }
+    return body;
+}
 
+async function testConnection() {
+    const button = document.getElementById('redraft_test_connection');
+    button?.classList.add('disabled');
     try {
-        // Save original to chatMetadata for undo
-        if (!chatMetadata['redraft_originals']) {
-            chatMetadata['redraft_originals'] = {};
+        const result = await pluginRequest('/test', 'POST', getConnectionFormBody());
+        if (result.ok) {
+            toastr.success(`Connected to ${result.model} in ${result.latencyMs} ms`, 'ReDraft');
+        } else {
+            console.warn(`${LOG_PREFIX} Connection test failed (${result.errorType}):`, result.error);
+            toastr.error(result.error, 'ReDraft: connection test failed');
+        }
+    } catch (err) {
+        toastr.error(err.message || 'Connection test failed', 'ReDraft');
+    } finally {
+        button?.classList.remove('disabled');
+    }
+}
+
+/**
+ * List the upstream's models in the dropdown next to the model field.
+ */
+async function fetchModels() {
+    const select = document.getElementById('redraft_model_select');
+    if (!select) return;
+    const button = document.getElementById('redraft_fetch_models');
+    button?.classList.add('disabled');
+    try {
+        const { models } = await pluginRequest('/models', 'POST', getConnectionFormBody());
+        if (!models.length) {
+            toastr.info('The API listed no models', 'ReDraft');
+            return;
+        }
+        const current = document.getElementById('redraft_model')?.value?.trim();
+        // Built as elements, not HTML: ids are upstream text and may contain quotes
+        select.replaceChildren(new Option('Pick a model\u2026', ''), ...models.map(id => new Option(id, id)));
+        select.value = models.includes(current) ? current : '';
+        select.style.display = '';
+    } catch (err) {
+        toastr.error(err.message || 'Failed to list models', 'ReDraft');
+    } finally {
+        button?.classList.remove('disabled');
+    }
+}
+
+/**
+ * Hide the model list, e.g. when another profile or provider is selected.
+ */
+function clearModelList() {
+    const select = document.getElementById('redraft_model_select');
+    if (!select) return;
+    select.innerHTML = '';
+    select.style.display = 'none';
+}
+
+function updateConnectionModeUI() {
+    const settings = getSettings();
+    const pluginFields = document.getElementById('redraft_plugin_fields');
+    const stModeInfo = document.getElementById('redraft_st_mode_info');
+
+    if (pluginFields) {
+        pluginFields.style.display = settings.connectionMode === 'plugin' ? '' : 'none';
+    }
+    if (stModeInfo) {
+        stModeInfo.style.display = settings.connectionMode === 'st' ? '' : 'none';
+    }
+    const popoutProfile = document.getElementById('redraft_popout_plugin_profile_row');
+    if (popoutProfile) {
+        popoutProfile.style.display = settings.connectionMode === 'plugin' ? '' : 'none';
+    }
+
+    updateStatusDot(null);
+    updatePluginBanner();
+}
+
+// ─── Context Assembly ───────────────────────────────────────────────
+
+// Context sources the refinement prompt can draw on, in prompt order
+const CONTEXT_SOURCES = {
+    character: { label: 'Character description & personality' },
+    scenario: { label: 'Scenario' },
+    persona: { label: 'User persona' },
+    worldInfo: { label: 'Active World Info entries' },
+    authorsNote: { label: 'Author\'s note' },
+    examples: { label: 'Example dialogue' },
+    recentMessages: { label: 'Recent messages' },
+};
+
+/**
+ * Count tokens with ST's tokenizer, falling back to a rough chars/4 estimate.
+ */
+async function countTokens(text) {
+    if (!text) return 0;
+    const { getTokenCountAsync } = SillyTavern.getContext();
+    if (typeof getTokenCountAsync === 'function') {
+        try {
+            return await getTokenCountAsync(text);
+        } catch (err) {
+            console.debug(`${LOG_PREFIX} Token count failed, estimating:`, err);
+        }
+    }
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Trim text to fit a token budget.
+ * @param {string} text
+ * @param {number} budget Max tokens; 0 or less means unlimited
+ * @param {boolean} [keepEnd=false] Drop from the start instead of the end (for chat history)
+ * @returns {Promise<string>}
+ */
+async function fitToBudget(text, budget, keepEnd = false) {
+    if (!text || !(budget > 0)) return text || '';
+    let fitted = text;
+    // Tokenizers aren't linear in chars, so shrink proportionally a few times
+    for (let attempt = 0; attempt < 4; attempt++) {
+        const tokens = await countTokens(fitted);
+        if (tokens <= budget) break;
+        const keep = Math.max(0, Math.floor(fitted.length * (budget / tokens) * 0.95));
+        fitted = keepEnd ? fitted.slice(fitted.length - keep) : fitted.slice(0, keep);
+    }
+    if (fitted === text || !fitted) return fitted;
+    return keepEnd ? `\u2026${fitted}` : `${fitted}\u2026`;
+}
+
+/**
+ * Work out who is in the scene for a message. In group chats the speaker is
+ * resolved from the message itself, since context.characterId / name2 may
+ * point at whoever is drafting next rather than who wrote this message.
+ * @returns {{speaker: object|null, others: object[], isGroup: boolean}}
+ *   speaker is null for user messages; others are the remaining characters present
+ */
+function getSceneCharacters(message) {
+    const context = SillyTavern.getContext();
+    const characters = context.characters || [];
+
+    if (!context.groupId) {
+        const char = characters[context.characterId] || null;
+        if (message?.is_user) return { speaker: null, others: char ? [char] : [], isGroup: false };
+        return { speaker: char, others: [], isGroup: false };
+    }
+
+    const group = context.groups?.find(g => g.id === context.groupId);
+    const disabled = group?.disabled_members || [];
+    const members = (group?.members || [])
+        .filter(avatar => !disabled.includes(avatar))
+        .map(avatar => characters.find(c => c.avatar === avatar))
+        .filter(Boolean);
+
+    if (message?.is_user) return { speaker: null, others: members, isGroup: true };
+
+    const byName = (list) => list.find(c => c.name === message?.name);
+    const speaker = characters.find(c => message?.original_avatar && c.avatar === message.original_avatar)
+        || byName(members)
+        || byName(characters)
+        || null;
+    return { speaker, others: members.filter(c => c !== speaker), isGroup: true };
+}
+
+/**
+ * Description and personality of one character, with macros resolved for that character.
+ */
+function describeCharacter(char) {
+    const { substituteParams } = SillyTavern.getContext();
+    return [char?.data?.description || char?.description, char?.data?.personality || char?.personality]
+        .filter(Boolean)
+        .map(text => typeof substituteParams === 'function' ? substituteParams(text, undefined, char.name) : text)
+        .join('\n');
+}
+
+/**
+ * Guess which character speaks each quoted line of a message, so the voice rule
+ * can keep every character's dialogue in their own register.
+ * A quote belongs to the last name mentioned before it in the paragraph, else the
+ * first name right after it ("…," said Mira), else the paragraph's previous speaker.
+ * @param {string} text
+ * @param {string[]} names Characters who may speak
+ * @param {string} fallback Who speaks unattributed lines (the message's author)
+ * @returns {string[]} One line per quote: `"opening words…" — Name`
+ */
+function attributeDialogue(text, names, fallback) {
+    const escape = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const patterns = names.filter(Boolean).map(name => ({
+        name,
+        re: new RegExp(`\\b(?:${escape(name)}|${escape(name.split(/\s+/)[0])})\\b`, 'g'),
+    }));
+    const findNames = (segment) => patterns
+        .flatMap(({ name, re }) => [...segment.matchAll(re)].map(m => ({ name, index: m.index })))
+        .sort((a, b) => a.index - b.index);
+
+    const lines = [];
+    for (const paragraph of text.split(/\n+/)) {
+        const quotes = [...paragraph.matchAll(/"([^"\n]+)"|“([^”\n]+)”/g)];
+        let current = null;
+        quotes.forEach((quote, i) => {
+            const prevEnd = i > 0 ? quotes[i - 1].index + quotes[i - 1][0].length : 0;
+            const nextStart = i + 1 < quotes.length ? quotes[i + 1].index : paragraph.length;
+            const before = findNames(paragraph.slice(prevEnd, quote.index));
+            const after = findNames(paragraph.slice(quote.index + quote[0].length, nextStart));
+            current = before.at(-1)?.name || after[0]?.name || current || fallback;
+
+            const words = (quote[1] || quote[2]).trim();
+            const preview = words.length > 50 ? `${words.substring(0, 50)}…` : words;
+            lines.push(`"${preview}" — ${current}`);
+        });
+    }
+    return lines;
+}
+
+/**
+ * Read the raw text for one context source. Returns '' when there's nothing to add.
+ * @param {{speaker: object|null}} scene From getSceneCharacters()
+ */
+function readContextSource(key, messageIndex, options, scene) {
+    const context = SillyTavern.getContext();
+    const char = scene.speaker || scene.others[0] || null;
+    const substitute = (text) => {
+        if (!text) return '';
+        return typeof context.substituteParams === 'function' ? context.substituteParams(text, undefined, char?.name) : text;
+    };
+
+    switch (key) {
+        case 'character':
+            return describeCharacter(char);
+        case 'scenario':
+            return substitute(context.chatMetadata?.scenario || char?.data?.scenario || char?.scenario);
+        case 'persona':
+            return substitute(context.powerUserSettings?.persona_description);
+        case 'worldInfo':
+            return lastWorldInfoEntries
+                .map(entry => entry?.content?.trim())
+                .filter(Boolean)
+                .join('\n\n');
+        case 'authorsNote':
+            return substitute(context.chatMetadata?.note_prompt);
+        case 'examples':
+            return substitute(char?.data?.mes_example || char?.mes_example);
+        case 'recentMessages': {
+            const count = Math.max(0, parseInt(options.count, 10) || 0);
+            return context.chat
+                .slice(Math.max(0, messageIndex - count), messageIndex)
+                .filter(m => m.mes && !m.is_system)
+                .map(m => `${m.name || (m.is_user ? context.name1 : context.name2)}: ${m.mes}`)
+                .join('\n\n');
+        }
+        default:
+            return '';
+    }
+}
+
+const CONTEXT_HEADINGS = {
+    character: 'Character',
+    scenario: 'Scenario',
+    persona: 'User persona',
+    worldInfo: 'World Info',
+    authorsNote: 'Author\'s note',
+    examples: 'Example dialogue',
+    recentMessages: 'Recent messages (oldest first)',
+};
+
+/**
+ * Character context for a group scene: the speaker first, then every other member
+ * present. The speaker gets half the budget and the others share the rest.
+ * @returns {Promise<string[]>}
+ */
+async function buildGroupCharacterParts(scene, budget) {
+    const parts = [];
+    const members = scene.speaker ? [scene.speaker, ...scene.others] : scene.others;
+    for (const char of members) {
+        const isSpeaker = char === scene.speaker;
+        let share = 0; // 0 = no limit
+        if (budget > 0) {
+            const raw = scene.speaker
+                ? (isSpeaker ? budget / 2 : budget / 2 / Math.max(1, scene.others.length))
+                : budget / members.length;
+            share = Math.max(1, Math.floor(raw));
+        }
+        const text = await fitToBudget(describeCharacter(char).trim(), share);
+        if (text) parts.push(`${CONTEXT_HEADINGS.character} — ${char.name}${isSpeaker ? ' (author of this message)' : ''}:\n${text}`);
+    }
+    return parts;
+}
+
+/**
+ * Assemble the context block for refining one message, each source cut to its token budget.
+ * @param {number} messageIndex
+ * @param {object} settings
+ * @param {string} messageText The message as sent to the LLM, for dialogue attribution
+ * @returns {Promise<string[]>} Context parts in prompt order
+ */
+async function buildContextParts(messageIndex, settings, messageText) {
+    const context = SillyTavern.getContext();
+    const message = context.chat[messageIndex];
+    const scene = getSceneCharacters(message);
+    const parts = [];
+
+    if (scene.speaker) {
+        parts.push(`${scene.isGroup ? 'Speaking character' : 'Character name'}: ${scene.speaker.name}`);
+    } else if (!scene.isGroup && context.name2) {
+        parts.push(`Character name: ${context.name2}`);
+    }
+    if (scene.isGroup && scene.others.length > 0) {
+        parts.push(`${scene.speaker ? 'Other group members present' : 'Group members present'}: ${scene.others.map(c => c.name).join(', ')}`);
+    }
+    if (context.name1) parts.push(`User character: ${context.name1}`);
+
+    for (const key of Object.keys(CONTEXT_SOURCES)) {
+        const source = settings.contextSources?.[key];
+        if (!source?.enabled) continue;
+        if (key === 'character' && scene.isGroup) {
+            parts.push(...await buildGroupCharacterParts(scene, source.budget));
+            continue;
+        }
+        const raw = readContextSource(key, messageIndex, source, scene);
+        const text = await fitToBudget(raw.trim(), source.budget, key === 'recentMessages');
+        if (text) parts.push(`${CONTEXT_HEADINGS[key]}:\n${text}`);
+    }
+
+    // In group scenes, tell the voice rule whose line is whose
+    if (scene.isGroup && scene.speaker && messageText) {
+        const names = [scene.speaker.name, ...scene.others.map(c => c.name), context.name1];
+        const lines = attributeDialogue(messageText, names, scene.speaker.name).slice(0, 40);
+        if (lines.length > 0) {
+            parts.push(`Voice attribution (best guess at who speaks each quoted line):\n${lines.join('\n')}`);
+        }
+    }
+
+    return parts;
+}
+
+/**
+ * Build the full prompt for refining a message.
+ * @returns {Promise<{systemPrompt: string, promptText: string, blocks: string[], anchors: Array,
+ *   stripped: string, pov: string}>} blocks are the protected regions to restore into the
+ *   refined text, anchors where they sat; stripped is the message as sent and pov the PoV
+ *   the prompt asks for (both for validation)
+ */
+async function buildRefinementPrompt(messageIndex, settings) {
+    const { chat } = SillyTavern.getContext();
+    const message = chat[messageIndex];
+
+    // Strip structured content (code fences, HTML, bracket blocks) before sending to LLM
+    const { stripped: strippedMessage, blocks, anchors } = stripProtectedBlocks(message.mes);
+
+    // The player's own messages get their own rules and system prompt
+    const isUser = !!message.is_user;
+    const rulesText = compileRules(settings, isUser);
+    const systemPrompt = isUser ? USER_SYSTEM_PROMPT : (settings.systemPrompt?.trim() || DEFAULT_SYSTEM_PROMPT);
+
+    const contextParts = await buildContextParts(messageIndex, settings, strippedMessage);
+
+    // Point of view instruction (describes the AI's narration, so not applied to user messages)
+    let povKey = isUser ? 'auto' : (settings.pov || 'auto');
+    if (povKey === 'detect') {
+        const detected = detectPov(strippedMessage);
+        if (detected) {
+            povKey = detected;
+            console.debug(`${LOG_PREFIX} Detected PoV: ${detected}`);
+        } else {
+            povKey = 'auto'; // Couldn't detect, skip instruction
+        }
+    }
+    if (povKey !== 'auto' && POV_INSTRUCTIONS[povKey]) {
+        contextParts.push(`Point of view: ${POV_INSTRUCTIONS[povKey]}`);
+    }
+
+    const contextBlock = contextParts.length > 0
+        ? `Context:\n${contextParts.join('\n\n')}\n\n`
+        : '';
+
+    const promptText = `${contextBlock}Apply the following refinement rules to the message below. Any [PROTECTED_N] placeholders are protected regions — output them exactly as-is.
+
+Remember: output [CHANGELOG]...[/CHANGELOG] first, then the refined message inside [REFINED]...[/REFINED]. No other text outside these tags.
+
+Rules:\n${rulesText}\n\nOriginal message:\n${strippedMessage}`;
+
+    return { systemPrompt, promptText, blocks, anchors, stripped: strippedMessage, pov: povKey };
+}
+
+/**
+ * Show the exact prompt that would be sent for the last AI message.
+ */
+async function showPromptPreview() {
+    const { chat } = SillyTavern.getContext();
+    const index = findLastAiMessageIndex();
+    if (!chat?.length || index < 0) {
+        toastr.warning('No AI message to preview a prompt for', 'ReDraft');
+        return;
+    }
+
+    const { systemPrompt, promptText } = await buildRefinementPrompt(index, getEffectiveSettings());
+    const tokens = await countTokens(systemPrompt) + await countTokens(promptText);
+    const { DOMPurify } = SillyTavern.libs;
+    const escape = (text) => DOMPurify.sanitize(text, { ALLOWED_TAGS: [] });
+
+    closePromptPreview();
+    const overlay = document.createElement('div');
+    overlay.id = 'redraft_prompt_overlay';
+    overlay.classList.add('redraft-diff-overlay');
+    overlay.innerHTML = `
+        <div class="redraft-diff-panel">
+            <div class="redraft-diff-header">
+                <span class="redraft-diff-title">Prompt Preview — message #${index} (~${tokens} tokens)</span>
+                <div class="redraft-diff-close" title="Close">
+                    <i class="fa-solid fa-xmark"></i>
+                </div>
+            </div>
+            <div class="redraft-diff-body">
+                <div class="redraft-prompt-label">System</div>
+                <pre class="redraft-prompt-text">${escape(systemPrompt)}</pre>
+                <div class="redraft-prompt-label">User</div>
+                <pre class="redraft-prompt-text">${escape(promptText)}</pre>
+            </div>
+        </div>
+    `;
+
+    overlay.querySelector('.redraft-diff-close').addEventListener('click', closePromptPreview);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closePromptPreview();
+    });
+
+    document.body.appendChild(overlay);
+}
+
+function closePromptPreview() {
+    const overlay = document.getElementById('redraft_prompt_overlay');
+    if (overlay) overlay.remove();
+}
+
+/**
+ * Render the per-source toggles and token budgets into the Context drawer.
+ */
+function renderContextSources() {
+    const container = document.getElementById('redraft_context_sources');
+    if (!container) return;
+    const settings = getSettings();
+
+    container.innerHTML = Object.entries(CONTEXT_SOURCES).map(([key, { label }]) => {
+        const source = settings.contextSources[key];
+        const countInput = key === 'recentMessages'
+            ? `<input type="number" class="text_pole redraft-context-count" data-field="count" min="0" max="50" value="${source.count}" title="Number of messages" />`
+            : '';
+        return `
+            <div class="redraft-context-row" data-source="${key}">
+                <label class="checkbox_label">
+                    <input type="checkbox" data-field="enabled" ${source.enabled ? 'checked' : ''} />
+                    <span>${label}</span>
+                </label>
+                ${countInput}
+                <input type="number" class="text_pole redraft-context-budget" data-field="budget" min="0" step="50" value="${source.budget}" title="Token budget (0 = no limit)" />
+            </div>
+        `;
+    }).join('');
+
+    container.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+            const key = input.closest('.redraft-context-row').dataset.source;
+            const field = input.dataset.field;
+            const source = getSettings().contextSources[key];
+            source[field] = field === 'enabled' ? input.checked : Math.max(0, parseInt(input.value, 10) || 0);
+            saveSettings();
+        });
+    });
+}
+
+// ─── Sampling ───────────────────────────────────────────────────────
+
+// Numeric sampling settings, with the range the server plugin accepts
+const SAMPLING_FIELDS = {
+    temperature: { min: 0, max: 2 },
+    topP: { min: 0, max: 1 },
+    frequencyPenalty: { min: -2, max: 2 },
+    presencePenalty: { min: -2, max: 2 },
+    maxTokens: { min: 1, max: 128000, integer: true },
+};
+const MAX_STOP_SEQUENCES = 4;
+
+// Sampling number inputs in the Advanced drawer
+const SAMPLING_INPUTS = {
+    redraft_sampling_temperature: 'temperature',
+    redraft_sampling_top_p: 'topP',
+    redraft_sampling_frequency_penalty: 'frequencyPenalty',
+    redraft_sampling_presence_penalty: 'presencePenalty',
+    redraft_sampling_max_tokens: 'maxTokens',
+};
+
+let pendingSTSampling = null; // Overrides for the generateRaw call ReDraft is making, if any
+
+/**
+ * Reduce sampling settings to the values actually set.
+ * @param {object} sampling Settings-shaped sampling object (nulls = unset)
+ * @returns {object} e.g. { temperature: 0.7, stop: ['###'] }
+ */
+function getSamplingOverrides(sampling) {
+    const overrides = {};
+    if (!sampling) return overrides;
+    for (const [key, { min, max }] of Object.entries(SAMPLING_FIELDS)) {
+        const value = sampling[key];
+        if (typeof value === 'number' && value >= min && value <= max) overrides[key] = value;
+    }
+    if (Array.isArray(sampling.stop) && sampling.stop.length > 0) overrides.stop = sampling.stop.slice(0, MAX_STOP_SEQUENCES);
+    return overrides;
+}
+
+/**
+ * Parse a sampling input value, clamped to its allowed range.
+ * @param {string} key Field in SAMPLING_FIELDS
+ * @param {string} raw Input value
+ * @returns {number|null} null when blank or not a number
+ */
+function parseSamplingValue(key, raw) {
+    const { min, max, integer } = SAMPLING_FIELDS[key];
+    const value = integer ? parseInt(raw, 10) : parseFloat(raw);
+    if (!Number.isFinite(value)) return null;
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Apply ReDraft's sampling overrides to ST's outgoing generation request.
+ * Only runs while refineViaST is waiting on generateRaw. Token limits and stop
+ * lists are written to whichever keys the active API uses.
+ * @param {object} data generate_data from a *_COMPLETION_SETTINGS_READY event
+ */
+function applySTSampling(data) {
+    if (!pendingSTSampling || !data || typeof data !== 'object') return;
+    const { temperature, topP, frequencyPenalty, presencePenalty, maxTokens, stop } = pendingSTSampling;
+
+    if (temperature !== undefined) data.temperature = temperature;
+    if (topP !== undefined) data.top_p = topP;
+    if (frequencyPenalty !== undefined) data.frequency_penalty = frequencyPenalty;
+    if (presencePenalty !== undefined) data.presence_penalty = presencePenalty;
+    if (maxTokens !== undefined) {
+        let applied = false;
+        for (const key of ['max_tokens', 'max_new_tokens', 'max_length']) {
+            if (key in data) {
+                data[key] = maxTokens;
+                applied = true;
+            }
+        }
+        if (!applied) data.max_tokens = maxTokens;
+    }
+    if (stop) {
+        let applied = false;
+        for (const key of ['stop', 'stopping_strings', 'stop_sequence']) {
+            if (Array.isArray(data[key])) {
+                data[key] = [...new Set([...data[key], ...stop])];
+                applied = true;
+            }
+        }
+        if (!applied) data.stop = [...stop];
+    }
+}
+
+/**
+ * Cut a response at the first stop sequence. Backends that ignore stop
+ * sequences would otherwise return the text past them.
+ * @param {string} text
+ * @param {string[]} [stop]
+ * @returns {string}
+ */
+function truncateAtStop(text, stop) {
+    if (!stop || !text) return text;
+    let end = text.length;
+    for (const seq of stop) {
+        const index = text.indexOf(seq);
+        if (index >= 0 && index < end) end = index;
+    }
+    return text.substring(0, end);
+}
+
+/**
+ * Show the global sampling settings in the Sampling controls (blank = unset).
+ */
+function syncSamplingUI() {
+    const sampling = getSettings().sampling;
+    for (const [id, key] of Object.entries(SAMPLING_INPUTS)) {
+        const el = document.getElementById(id);
+        if (el) el.value = sampling[key] ?? '';
+    }
+    const stopEl = document.getElementById('redraft_sampling_stop');
+    if (stopEl) stopEl.value = (sampling.stop || []).join('\n');
+}
+
+// ─── Core Refinement (Dual-Mode) ────────────────────────────────────
+
+/**
+ * Send refinement request via ST's generateRaw().
+ * generateRaw can't stream, so cancelling just stops ST's generation and discards the result.
+ * @param {string} promptText
+ * @param {string} systemPrompt
+ * @param {{signal?: AbortSignal, sampling?: object}} options sampling: overrides from
+ *   getSamplingOverrides(), applied through the *_COMPLETION_SETTINGS_READY events
+ */
+async function refineViaST(promptText, systemPrompt, { signal, sampling = {} } = {}) {
+    const { generateRaw } = SillyTavern.getContext();
+    if (typeof generateRaw !== 'function') {
+        throw new Error('generateRaw is not available in this version of SillyTavern');
+    }
+
+    const request = { prompt: promptText, systemPrompt: systemPrompt };
+    if (sampling.maxTokens) request.responseLength = sampling.maxTokens;
+
+    let result;
+    pendingSTSampling = Object.keys(sampling).length > 0 ? sampling : null;
+    try {
+        result = await abortable(generateRaw(request), signal);
+    } finally {
+        pendingSTSampling = null;
+    }
+    result = typeof result === 'string' ? truncateAtStop(result, sampling.stop) : result;
+
+    if (!result || typeof result !== 'string' || !result.trim()) {
+        throw new Error('ST generated an empty response');
+    }
+
+    return result.trim();
+}
+
+/**
+ * Send refinement request via server plugin, streaming the response.
+ * @param {string} promptText
+ * @param {string} systemPrompt
+ * @param {{signal?: AbortSignal, onDelta?: (text: string) => void, profile?: string,
+ *   sampling?: object, retries?: number, onRetries?: (attempts: Array) => void}} options
+ *   sampling: overrides from getSamplingOverrides(); onRetries: receives the plugin's
+ *   failed attempts before it succeeded (see withFallback)
+ */
+async function refineViaPlugin(promptText, systemPrompt, { signal, onDelta, profile, sampling, retries, onRetries } = {}) {
+    const messages = [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: promptText },
+    ];
+
+    const body = buildPluginRefineBody(messages, { profile, sampling, retries });
+    const { text, attempts } = await pluginStreamRequest('/refine', body, { signal, onDelta });
+    onRetries?.(attempts);
+
+    if (!text || !text.trim()) {
+        throw new Error('Plugin returned an empty response');
+    }
+
+    return text.trim();
+}
+
+/**
+ * Body for the plugin's /refine route. Optional fields are left out when unset
+ * so the plugin falls back to the connection profile's own values.
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {{profile?: string, sampling?: object, retries?: number}} options
+ */
+function buildPluginRefineBody(messages, { profile, sampling, retries } = {}) {
+    const body = { messages };
+    if (profile) body.profile = profile;
+    if (sampling && Object.keys(sampling).length > 0) body.sampling = sampling;
+    if (Number.isInteger(retries)) body.retries = retries;
+    return body;
+}
+
+/**
+ * Request several independent refinements of the same prompt.
+ * Plugin mode asks for all of them in one call via `n` and tops up with single
+ * calls if the provider ignores it; ST mode calls generateRaw repeatedly.
+ * @param {string} promptText
+ * @param {string} systemPrompt
+ * @param {number} count
+ * @param {{signal?: AbortSignal, mode?: 'st'|'plugin', profile?: string, sampling?: object,
+ *   retries?: number, onRetries?: (attempts: Array) => void}} options mode: connection to use
+ *   (default: the configured one); profile: plugin connection profile; sampling: overrides
+ *   from getSamplingOverrides(); onRetries: as for refineViaPlugin, across all plugin calls
+ * @returns {Promise<string[]>} Raw LLM responses
+ */
+async function requestCandidates(promptText, systemPrompt, count, { signal, mode, profile, sampling, retries, onRetries } = {}) {
+    const usePlugin = (mode || getSettings().connectionMode) === 'plugin';
+    const messages = [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: promptText },
+    ];
+    const base = buildPluginRefineBody(messages, { profile, sampling, retries });
+    const responses = [];
+    const pluginRetries = [];
+    const refine = async (body) => {
+        const result = await pluginRequest('/refine', 'POST', body, signal);
+        pluginRetries.push(...(result.attempts || []));
+        onRetries?.(pluginRetries);
+        return result;
+    };
+
+    if (usePlugin) {
+        const result = await refine({ ...base, n: count });
+        responses.push(...(result.texts || [result.text]).filter(text => text && text.trim()));
+    }
+
+    while (responses.length < count) {
+        if (usePlugin) {
+            const result = await refine(base);
+            if (result.text && result.text.trim()) responses.push(result.text);
+            else throw new Error('Plugin returned an empty response');
+        } else {
+            toastr.info(`Generating candidate ${responses.length + 1} of ${count}…`, 'ReDraft');
+            responses.push(await refineViaST(promptText, systemPrompt, { signal, sampling }));
+        }
+    }
+
+    return responses.slice(0, count).map(text => text.trim());
+}
+
+/**
+ * Parse a connection target as stored in settings.fallbacks.
+ * @param {string} value 'st', or 'plugin:<profile>' ('plugin:' = the plugin's default profile)
+ * @returns {{mode: 'st'|'plugin', profile?: string, label: string}|null}
+ */
+function parseConnectionTarget(value) {
+    if (value === 'st') return { mode: 'st', label: 'ST connection' };
+    if (typeof value !== 'string' || !value.startsWith('plugin:')) return null;
+    const profile = value.slice('plugin:'.length) || undefined;
+    return { mode: 'plugin', profile, label: profile ? `Plugin: ${profile}` : 'Plugin default' };
+}
+
+/**
+ * Connections to try for a refinement: the configured one, then the fallbacks
+ * in order, skipping repeats.
+ * @param {object} settings Effective settings
+ * @param {boolean} auto Auto-refine, which may use its own plugin profile
+ * @returns {Array<{mode: 'st'|'plugin', profile?: string, label: string}>}
+ */
+function getConnectionChain(settings, auto) {
+    const pluginProfile = (auto && settings.autoPluginProfile) || settings.pluginProfile || '';
+    const primary = settings.connectionMode === 'plugin' ? `plugin:${pluginProfile}` : 'st';
+    const values = [...new Set([primary, ...(settings.fallbacks || [])])];
+    return values.map(parseConnectionTarget).filter(Boolean);
+}
+
+/**
+ * Run a request against each connection in the chain until one succeeds.
+ * Cancellation is never retried elsewhere.
+ * @param {Array} chain From getConnectionChain()
+ * @param {(target: object, report: {onRetries: (attempts: Array) => void}) => Promise<any>} run
+ *   Makes the request on one connection; report.onRetries takes the plugin's failed
+ *   attempts on a request that still succeeded (a failed one carries them as err.attempts)
+ * @param {{signal?: AbortSignal, notify?: (type: string, text: string) => void}} options
+ * @returns {Promise<{result: any, target: object, attempts: Array, retries: Array}>} attempts:
+ *   the failed connections before `target`, as [{ connection, error, status, retries, timestamp }];
+ *   retries: the plugin's failed attempts on `target` before it succeeded
+ * @throws {Error} The last error, with `attempts` covering every connection tried
+ */
+async function withFallback(chain, run, { signal, notify } = {}) {
+    const attempts = [];
+    let lastError = null;
+    for (const [i, target] of chain.entries()) {
+        const next = chain[i + 1];
+        try {
+            if (target.mode === 'plugin' && !pluginAvailable) {
+                throw new Error('Server plugin is not available. Switch to ST mode or install the plugin.');
+            }
+            activeConnectionMode = target.mode;
+            let retries = [];
+            const result = await run(target, { onRetries: (list) => { retries = list; } });
+            return { result, target, attempts, retries };
+        } catch (err) {
+            if (err.name === 'AbortError' || signal?.aborted) throw err;
+            lastError = err;
+            attempts.push({
+                connection: target.label,
+                error: err.message || 'Request failed',
+                status: err.status ?? null,
+                retries: err.attempts || [],
+                timestamp: Date.now(),
+            });
+            console.warn(`${LOG_PREFIX} [fallback] ${target.label} failed:`, err.message, err.attempts || '');
+            if (next) notify?.('warning', `${target.label} failed \u2014 trying ${next.label}`);
+        } finally {
+            activeConnectionMode = null;
+        }
+    }
+    lastError.attempts = attempts;
+    if (attempts.length > 1) {
+        lastError.message = `All connections failed (${attempts.map(a => a.connection).join(', ')}): ${lastError.message}`;
+    }
+    throw lastError;
+}
+
+/**
+ * Cancel the refinement in flight, if any.
+ * @param {{stopGeneration?: boolean}} [options] Pass stopGeneration: false when
+ *   reacting to ST's own generation events, so a new generation isn't stopped
+ */
+function cancelRefinement({ stopGeneration = true } = {}) {
+    if (!activeAbortController) return;
+    activeAbortController.abort();
+    if (stopGeneration && activeConnectionMode === 'st') {
+        // generateRaw has no signal of its own — stop ST's generation too
+        SillyTavern.getContext().stopGeneration?.();
+    }
+}
+
+/**
+ * Show the [REFINED] part of a partially streamed response inside the message bubble.
+ * The bubble is re-rendered normally once refinement finishes or is cancelled.
+ * @param {number} messageIndex
+ * @param {string} partialText Response text received so far
+ */
+function showStreamingPreview(messageIndex, partialText) {
+    const mesBlock = document.querySelector(`.mes[mesid="${messageIndex}"] .mes_text`);
+    if (!mesBlock) return;
+    const match = partialText.match(/\[REFINED\]\s*([\s\S]*?)(?:\[\/REFINED\]|$)/i);
+    mesBlock.classList.add('redraft-streaming');
+    mesBlock.textContent = match ? match[1] : 'Writing change log\u2026';
+}
+
+/**
+ * Replace a streaming preview with the properly formatted message.
+ * @param {number} messageIndex Bubble showing the preview, or -1 for none
+ */
+function clearStreamingPreview(messageIndex) {
+    if (messageIndex < 0) return;
+    document.querySelector(`.mes[mesid="${messageIndex}"] .mes_text`)?.classList.remove('redraft-streaming');
+    rerenderMessage(messageIndex);
+}
+
+/**
+ * Refine a message at the given index.
+ *
+ * Non-interactive runs (batch mode) show no toasts or popups: they skip review,
+ * candidates and the diff popup and report the outcome through the return value.
+ * @param {number} messageIndex Index in context.chat
+ * @param {{interactive?: boolean, auto?: boolean}} options auto: triggered by
+ *   auto-refine, which may use its own plugin connection profile
+ * @returns {Promise<{status: 'refined'|'unchanged'|'skipped'|'failed'|'cancelled', error?: string}>}
+ */
+async function redraftMessage(messageIndex, { interactive = true, auto = false } = {}) {
+    const notify = (type, text) => {
+        if (interactive) toastr[type](text, 'ReDraft');
+    };
+
+    if (isRefining) {
+        console.debug(`${LOG_PREFIX} Already refining, skipping`);
+        return { status: 'skipped', error: 'Already refining' };
+    }
+    if (batchState && interactive) {
+        toastr.warning('A batch refinement is running', 'ReDraft');
+        return { status: 'skipped', error: 'Batch in progress' };
+    }
+
+    const context = SillyTavern.getContext();
+    const { chat, saveChat, saveMetadata } = context;
+
+    if (!chat || messageIndex < 0 || messageIndex >= chat.length) {
+        notify('error', 'Invalid message index');
+        return { status: 'failed', error: 'Invalid message index' };
+    }
+
+    const message = chat[messageIndex];
+    if (!message || !message.mes) {
+        notify('error', 'Message has no text content');
+        return { status: 'skipped', error: 'Message has no text content' };
+    }
+
+    // Rules, PoV and system prompt come from the profile bound to this chat/character, if any
+    const settings = getEffectiveSettings();
+    // Stable identity so the result lands on the right message even if the chat shifts meanwhile
+    const messageKey = getMessageKey(messageIndex, true);
+    const startIndex = messageIndex;
+
+    // Connections to try in order; fail early if none of them can be reached
+    const chain = getConnectionChain(settings, auto);
+    if (chain.every(target => target.mode === 'plugin') && !pluginAvailable) {
+        notify('error', 'Server plugin is not available. Switch to ST mode or install the plugin.');
+        return { status: 'failed', error: 'Server plugin is not available' };
+    }
+
+    // Set re-entrancy guard
+    isRefining = true;
+    setPopoutTriggerLoading(true);
+
+    // Clean up stale undo/diff buttons from prior refinement of this message
+    // (fixes compare showing wrong diff after swiping in auto mode)
+    hideHistoryButtons(messageIndex);
+
+    // Show loading state on the message button + toast
+    setMessageButtonLoading(messageIndex, true);
+    notify('info', 'Refining message\u2026');
+    let previewIndex = -1; // Bubble currently showing the streaming preview
+
+    try {
+        const { systemPrompt, promptText, blocks: protectedBlocks, anchors, stripped, pov } = await buildRefinementPrompt(messageIndex, settings);
+        // Puts protected blocks back, noting any the LLM dropped, moved or doubled
+        const restore = (parsed) => {
+            const { text, repairs } = restoreProtectedBlocks(parsed.refined, protectedBlocks, anchors);
+            return { refined: text, blockWarnings: describeBlockRepairs(repairs, protectedBlocks) };
+        };
+        const validation = {
+            original: stripped,
+            blockCount: protectedBlocks.length,
+            pov,
+            expanding: !!message.is_user && !!settings.userRules?.expand,
+        };
+
+        console.debug(`${LOG_PREFIX} [prompt] System prompt (${systemPrompt.length} chars):`, systemPrompt.substring(0, 200) + '…');
+        console.debug(`${LOG_PREFIX} [prompt] Full refinement prompt (${promptText.length} chars):`);
+        console.debug(promptText);
+
+        // Call refinement via the appropriate mode
+        activeAbortController = new AbortController();
+        const { signal } = activeAbortController;
+        const candidateCount = interactive ? Math.max(1, parseInt(settings.candidateCount, 10) || 1) : 1;
+        const sampling = getSamplingOverrides(settings.sampling);
+        const retries = settings.retries;
+        let refinedText;
+        let changelog;
+        let connection; // Connection that produced the result, and the ones that failed before it
+        let issues = []; // Validation problems the user hasn't confirmed yet
+        let alreadyReviewed = false; // The user has seen the diff in the review popup
+        let blockWarnings = []; // Protected blocks that had to be repositioned
+        const requestStart = Date.now();
+        if (candidateCount > 1) {
+            // Multi-candidate: generate several refinements and let the user pick one
+            const { result: responses, ...outcome } = await withFallback(chain, (target, { onRetries }) => requestCandidates(
+                promptText, systemPrompt, candidateCount,
+                { signal, mode: target.mode, profile: target.profile, sampling, retries, onRetries },
+            ), { signal, notify });
+            connection = { ...outcome, latencyMs: Date.now() - requestStart };
+            // Invalid candidates are shown with their problems; picking one confirms it
+            const candidates = responses.map(response => {
+                const parsed = parseChangelog(response);
+                return {
+                    changelog: parsed.changelog,
+                    ...restore(parsed),
+                    issues: validateRefinement(parsed, validation),
+                };
+            });
+            const picked = await showCandidatePopup(message.mes, candidates);
+            if (picked === null) {
+                toastr.info('No candidate applied', 'ReDraft');
+                return { status: 'unchanged' };
+            }
+            ({ refined: refinedText, changelog, blockWarnings } = candidates[picked]);
+        } else {
+            const request = (prompt) => withFallback(chain, (target, { onRetries }) => {
+                // Drop a failed connection's partial output before the next one starts
+                clearStreamingPreview(previewIndex);
+                previewIndex = -1;
+                if (target.mode === 'st') return refineViaST(prompt, systemPrompt, { signal, sampling });
+                return refineViaPlugin(prompt, systemPrompt, {
+                    signal,
+                    profile: target.profile,
+                    sampling,
+                    retries,
+                    onRetries,
+                    onDelta: (partial) => {
+                        const index = findMessageIndexByKey(messageKey);
+                        if (index >= 0) {
+                            previewIndex = index;
+                            showStreamingPreview(index, partial);
+                        }
+                    },
+                });
+            }, { signal, notify });
+
+            let { result: response, ...outcome } = await request(promptText);
+            let parsed = parseChangelog(response);
+            issues = validateRefinement(parsed, validation);
+            if (issues.length > 0) {
+                // One corrective re-ask; whatever comes back still has to pass or be confirmed
+                console.warn(`${LOG_PREFIX} [validation] Response rejected, asking again:`, issues.map(i => i.message));
+                notify('warning', 'The response looked malformed \u2014 asking again\u2026');
+                const first = outcome;
+                ({ result: response, ...outcome } = await request(buildCorrectivePrompt(promptText, issues)));
+                outcome.attempts = [...first.attempts, ...outcome.attempts];
+                // Retries of the first request only count if it succeeded on the same connection
+                if (first.target === outcome.target) outcome.retries = [...first.retries, ...outcome.retries];
+                parsed = parseChangelog(response);
+                issues = validateRefinement(parsed, validation);
+            }
+            connection = { ...outcome, latencyMs: Date.now() - requestStart };
+
+            changelog = parsed.changelog;
+            ({ refined: refinedText, blockWarnings } = restore(parsed));
+        }
+        if (changelog) {
+            console.log(`${LOG_PREFIX} [changelog]`, changelog);
+        }
+
+        // Deleting earlier messages shifts indices and swiping changes the text,
+        // so find the message again before writing anything back
+        messageIndex = findMessageIndexByKey(messageKey);
+        if (messageIndex < 0) {
+            throw new Error('Message was deleted or swiped during refinement \u2014 result discarded');
+        }
+
+        // A result that failed validation is never applied without the user's say-so
+        if (issues.length > 0) {
+            console.warn(`${LOG_PREFIX} [validation] Result still invalid:`, issues.map(i => i.message));
+            if (!interactive) {
+                throw new Error(`Refinement failed validation: ${issues.map(i => i.message).join('; ')}`);
+            }
+        }
+
+        // Review mode: let the user pick which changes to keep before anything is written
+        if ((settings.reviewBeforeApply || issues.length > 0) && interactive) {
+            clearStreamingPreview(previewIndex);
+            previewIndex = -1;
+            alreadyReviewed = true;
+            const reviewed = await showDiffPopup(message.mes, refinedText, changelog, {
+                review: true,
+                entries: parseChangelogEntries(changelog, settings, message.is_user),
+                warnings: issues.map(i => i.message),
+                blockWarnings,
+            });
+            if (reviewed === null) {
+                toastr.info('Refinement discarded', 'ReDraft');
+                return { status: 'unchanged' };
+            }
+            messageIndex = findMessageIndexByKey(messageKey);
+            if (messageIndex < 0) {
+                throw new Error('Message was deleted or swiped during review \u2014 result discarded');
+            }
+            if (reviewed === message.mes) {
+                toastr.info('No changes applied', 'ReDraft');
+                return { status: 'unchanged' };
+            }
+            refinedText = reviewed;
         }
-        chatMetadata['redraft_originals'][messageIndex] = message.mes;
+
+        if (refinedText === message.mes) {
+            notify('info', 'No changes were made');
+            return { status: 'unchanged' };
+        }
+
+        // Write refined text back
+        const originalText = message.mes;
+        message.mes = refinedText;
+
+        // Record the new revision so every version stays restorable
+        const entries = parseChangelogEntries(changelog, settings, message.is_user);
+        const statsId = recordRefinementStats({
+            messageKey,
+            original: originalText,
+            refined: refinedText,
+            entries,
+            latencyMs: connection.latencyMs,
+            target: connection.target,
+            auto,
+            isUser: !!message.is_user,
+        });
+        recordRevision(messageIndex, originalText, refinedText, {
+            rules: getActiveRuleLabels(settings, message.is_user),
+            changelog: changelog || null,
+            entries,
+            connection: connection.target.label,
+            attempts: connection.attempts,
+            retries: connection.retries,
+            blockWarnings,
+            statsId,
+        });
+        await saveChat();
         await saveMetadata();
 
-        // Strip structured content (code fences, HTML, bracket blocks) before sending to LLM
-        const { stripped: strippedMessage, blocks: protectedBlocks } = stripProtectedBlocks(message.mes);
-
-        // Build the refinement prompt
-        const rulesText = compileRules(settings);
-        const systemPrompt = settings.systemPrompt?.trim() || DEFAULT_SYSTEM_PROMPT;
-
-        // Gather context for the LLM
-        const contextParts = [];
-        const char = context.characters?.[context.characterId];
-        const charDesc = char?.data?.personality
-            || char?.data?.description?.substring(0, 500)
-            || '';
-        if (context.name2 || charDesc) {
-            contextParts.push(`Character: ${context.name2 || 'Unknown'}${charDesc ? ' \u2014 ' + charDesc : ''}`);
-        }
-        if (context.name1) {
-            contextParts.push(`User character: ${context.name1}`);
-        }
-
-        // Point of view instruction
-        let povKey = settings.pov || 'auto';
-        if (povKey === 'detect') {
-            const detected = detectPov(strippedMessage);
-            if (detected) {
-                povKey = detected;
-                console.debug(`${LOG_PREFIX} Detected PoV: ${detected}`);
-            } else {
-                povKey = 'auto'; // Couldn't detect, skip instruction
+        // Re-render the message in the UI
+        rerenderMessage(messageIndex);
+
+        // Auto-show diff popup if toggle is on (a reviewed result has already been seen)
+        if (settings.showDiffAfterRefine && !alreadyReviewed && interactive) {
+            showDiffPopup(originalText, refinedText, changelog, {
+                entries,
+                blockWarnings,
+                onSave: (text) => saveRevisionEdit(messageKey, text),
+            });
+        }
+
+        notify('success', 'Message refined');
+        console.log(`${LOG_PREFIX} Message ${messageIndex} refined successfully (via ${connection.target.label})`);
+        return { status: 'refined' };
+
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            console.log(`${LOG_PREFIX} Refinement cancelled`);
+            notify('info', 'Refinement cancelled');
+            return { status: 'cancelled' };
+        }
+        console.error(`${LOG_PREFIX} Refinement failed:`, err.message, err.attempts || '');
+        notify('error', err.message || 'Refinement failed');
+        return { status: 'failed', error: err.message || 'Refinement failed', attempts: err.attempts || [] };
+    } finally {
+        isRefining = false;
+        activeAbortController = null;
+        clearStreamingPreview(previewIndex);
+        setMessageButtonLoading(messageIndex >= 0 ? messageIndex : startIndex, false);
+        // Show undo + diff + history buttons (also restores them if refinement failed)
+        if (messageIndex >= 0) showHistoryButtons(messageIndex);
+        setPopoutTriggerLoading(false);
+    }
+}
+
+/**
+ * Undo a refinement — step back to the previous revision.
+ * @param {number} messageIndex
+ */
+async function undoRedraft(messageIndex) {
+    const history = getMessageHistory(messageIndex);
+    if (!history || history.current <= 0) {
+        toastr.warning('No original text to restore', 'ReDraft');
+        return;
+    }
+
+    await restoreRevision(messageIndex, history.current - 1);
+    toastr.info(history.current === 0 ? 'Original message restored' : 'Previous revision restored', 'ReDraft');
+}
+
+/**
+ * Write a stored revision back into the chat and make it the current one.
+ * @param {number} messageIndex
+ * @param {number} versionIndex Index into the message's history versions
+ */
+async function restoreRevision(messageIndex, versionIndex) {
+    const context = SillyTavern.getContext();
+    const { chat, saveChat, saveMetadata } = context;
+
+    const history = getMessageHistory(messageIndex);
+    const version = history?.versions[versionIndex];
+    if (!version || !chat[messageIndex]) {
+        toastr.warning('Revision not found', 'ReDraft');
+        return;
+    }
+
+    // Going back from a refinement counts as undoing it; returning to it clears that
+    const left = history.versions[history.current];
+    if (versionIndex < history.current && left?.statsId) updateRefinementStats(left.statsId, { undone: true });
+    if (version.statsId) updateRefinementStats(version.statsId, { undone: false });
+
+    chat[messageIndex].mes = version.text;
+    history.current = versionIndex;
+
+    await saveMetadata();
+    await saveChat();
+    rerenderMessage(messageIndex);
+    hideHistoryButtons(messageIndex);
+    showHistoryButtons(messageIndex);
+
+    console.log(`${LOG_PREFIX} Message ${messageIndex} restored to version ${versionIndex}`);
+}
+
+/**
+ * Replace the message's current refined revision with a hand edit of it, made
+ * in the diff popup. The revision it was refined from is left alone, so undo
+ * still goes back to it.
+ * @param {string} messageKey See getMessageKey
+ * @param {string} text
+ */
+async function saveRevisionEdit(messageKey, text) {
+    const { chat, saveChat, saveMetadata } = SillyTavern.getContext();
+    const messageIndex = findMessageIndexByKey(messageKey);
+    const history = messageIndex >= 0 ? getMessageHistory(messageIndex) : null;
+    const version = history?.versions[history.current];
+    // The message must still show that revision, or the edit would overwrite something else
+    if (!version || version.kind !== 'refined' || chat[messageIndex].mes !== version.text) {
+        toastr.warning('The message changed since this diff was opened \u2014 edit not saved', 'ReDraft');
+        return;
+    }
+
+    version.text = text;
+    version.editedAt = Date.now();
+    chat[messageIndex].mes = text;
+    if (version.statsId) updateRefinementStats(version.statsId, { edited: true });
+
+    await saveMetadata();
+    await saveChat();
+    rerenderMessage(messageIndex);
+    toastr.success('Edited revision saved', 'ReDraft');
+    console.log(`${LOG_PREFIX} Message ${messageIndex}: revision ${history.current} edited by hand`);
+}
+
+/**
+ * Re-render a single message in the UI.
+ */
+function rerenderMessage(messageIndex) {
+    const context = SillyTavern.getContext();
+    const mesBlock = document.querySelector(`.mes[mesid="${messageIndex}"] .mes_text`);
+    if (mesBlock && context.chat[messageIndex]) {
+        const { messageFormatting } = context;
+        if (typeof messageFormatting === 'function') {
+            mesBlock.innerHTML = messageFormatting(context.chat[messageIndex].mes, context.chat[messageIndex].name, false, false, messageIndex);
+        } else {
+            mesBlock.textContent = context.chat[messageIndex].mes;
+        }
+    }
+}
+
+// ─── Batch Refinement ───────────────────────────────────────────────
+
+let batchState = null; // Set while a batch runs: { total, done, results, paused, cancelled, resume }
+
+/**
+ * Collect the AI messages a batch should refine.
+ * @param {{from?: number, to?: number, onlyUnrefined?: boolean}} options Inclusive index range
+ * @returns {number[]}
+ */
+function getBatchTargets({ from = 0, to = Infinity, onlyUnrefined = false } = {}) {
+    const { chat } = SillyTavern.getContext();
+    if (!chat) return [];
+    const targets = [];
+    const last = Math.min(to, chat.length - 1);
+    for (let i = Math.max(0, from); i <= last; i++) {
+        const message = chat[i];
+        if (!message || message.is_user || message.is_system || !message.mes) continue;
+        if (onlyUnrefined && getMessageHistory(i)) continue;
+        targets.push(i);
+    }
+    return targets;
+}
+
+/**
+ * Refine several messages one after another.
+ * Each message gets its own revision history, so it can still be undone on its own.
+ * @param {number[]} indices
+ */
+async function runBatch(indices) {
+    if (batchState || isRefining) {
+        toastr.warning('A refinement is already running', 'ReDraft');
+        return;
+    }
+    if (indices.length === 0) {
+        toastr.info('No messages to refine', 'ReDraft');
+        return;
+    }
+
+    // Queue by stable key — deleting messages mid-batch shifts indices
+    const queue = indices.map(index => ({ key: getMessageKey(index, true), index }));
+    batchState = { total: queue.length, done: 0, results: [], paused: false, cancelled: false, resume: null };
+    updateBatchUI();
+    toastr.info(`Refining ${queue.length} messages…`, 'ReDraft');
+
+    const state = batchState;
+    try {
+        for (const item of queue) {
+            if (state.paused) {
+                await new Promise(resolve => { state.resume = resolve; });
             }
+            if (state.cancelled) break;
+
+            const index = findMessageIndexByKey(item.key);
+            const result = index < 0
+                ? { status: 'skipped', error: 'Message was deleted or swiped' }
+                : await redraftMessage(index, { interactive: false });
+            state.results.push({ index: index >= 0 ? index : item.index, ...result });
+            state.done++;
+            updateBatchUI();
+            if (result.status === 'cancelled') break;
+        }
+    } finally {
+        batchState = null;
+        updateBatchUI();
+        showBatchSummary(state);
+    }
+}
+
+function toggleBatchPause() {
+    if (!batchState) return;
+    batchState.paused = !batchState.paused;
+    if (!batchState.paused && batchState.resume) {
+        batchState.resume();
+        batchState.resume = null;
+    }
+    updateBatchUI();
+}
+
+function cancelBatch() {
+    if (!batchState) return;
+    batchState.cancelled = true;
+    batchState.paused = false;
+    if (batchState.resume) {
+        batchState.resume();
+        batchState.resume = null;
+    }
+    cancelRefinement();
+    updateBatchUI();
+}
+
+/**
+ * Sync the popout's batch controls and progress bar with batchState.
+ */
+function updateBatchUI() {
+    const progress = document.getElementById('redraft_batch_progress');
+    const starters = document.getElementById('redraft_batch_start');
+    if (starters) starters.style.display = batchState ? 'none' : '';
+    if (!progress) return;
+    if (!batchState) {
+        progress.style.display = 'none';
+        return;
+    }
+
+    progress.style.display = '';
+    const { done, total, results, paused, cancelled } = batchState;
+    const failed = results.filter(r => r.status === 'failed').length;
+
+    const fill = progress.querySelector('.redraft-batch-bar-fill');
+    if (fill) fill.style.width = `${total ? Math.round((done / total) * 100) : 0}%`;
+
+    const status = progress.querySelector('.redraft-batch-status');
+    if (status) {
+        const parts = [`${done}/${total}`];
+        if (failed) parts.push(`${failed} failed`);
+        if (cancelled) parts.push('cancelling…');
+        else if (paused) parts.push('paused after current message');
+        status.textContent = parts.join(' · ');
+    }
+
+    const pauseBtn = document.getElementById('redraft_batch_pause');
+    if (pauseBtn) {
+        pauseBtn.title = paused ? 'Resume' : 'Pause';
+        pauseBtn.innerHTML = paused ? '<i class="fa-solid fa-play"></i>' : '<i class="fa-solid fa-pause"></i>';
+    }
+}
+
+/**
+ * Show the outcome of a finished batch, with per-message failures.
+ * @param {{total: number, results: Array<{index: number, status: string, error?: string}>, cancelled: boolean}} state
+ */
+function showBatchSummary(state) {
+    closeBatchSummary();
+
+    const { DOMPurify } = SillyTavern.libs;
+    const count = (status) => state.results.filter(r => r.status === status).length;
+    const notRun = state.total - state.results.length;
+    const problems = state.results.filter(r => r.status === 'failed' || r.status === 'skipped' || r.status === 'cancelled');
+
+    const rows = [
+        ['Refined', count('refined')],
+        ['Unchanged', count('unchanged')],
+        ['Skipped', count('skipped')],
+        ['Failed', count('failed')],
+        ['Cancelled', count('cancelled') + notRun],
+    ].filter(([, n]) => n > 0)
+        .map(([label, n]) => `<div class="redraft-batch-summary-row"><span>${label}</span><span>${n}</span></div>`)
+        .join('');
+
+    const problemsHtml = problems.length ? `
+        <div class="redraft-batch-summary-problems">
+            ${problems.map(r => `<div>Message #${r.index}: ${DOMPurify.sanitize(r.error || r.status, { ALLOWED_TAGS: [] })}</div>`).join('')}
+        </div>
+    ` : '';
+
+    const overlay = document.createElement('div');
+    overlay.id = 'redraft_batch_overlay';
+    overlay.classList.add('redraft-diff-overlay');
+    overlay.innerHTML = `
+        <div class="redraft-diff-panel redraft-batch-summary-panel">
+            <div class="redraft-diff-header">
+                <span class="redraft-diff-title">${state.cancelled ? 'Batch Cancelled' : 'Batch Complete'}</span>
+                <div class="redraft-diff-close" title="Close">
+                    <i class="fa-solid fa-xmark"></i>
+                </div>
+            </div>
+            <div class="redraft-diff-body redraft-batch-summary">
+                ${rows}
+                ${problemsHtml}
+            </div>
+        </div>
+    `;
+
+    overlay.querySelector('.redraft-diff-close').addEventListener('click', closeBatchSummary);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeBatchSummary();
+    });
+
+    document.body.appendChild(overlay);
+}
+
+function closeBatchSummary() {
+    const overlay = document.getElementById('redraft_batch_overlay');
+    if (overlay) overlay.remove();
+}
+
+// ─── Message Identity ───────────────────────────────────────────────
+
+/**
+ * Get ReDraft's stable id for a chat message, optionally assigning one.
+ * The id lives in message.extra and is mirrored into every swipe's extra,
+ * since ST swaps message.extra out when switching swipes.
+ * @param {object} message Chat message
+ * @param {boolean} create Assign a new id if the message has none
+ * @returns {string|null}
+ */
+function getMessageId(message, create = false) {
+    if (!message) return null;
+    let id = message.extra?.redraft_id
+        || message.swipe_info?.find(info => info?.extra?.redraft_id)?.extra.redraft_id
+        || null;
+    if (!create) return id;
+
+    if (!id) {
+        id = Date.now().toString(36) + Math.random().toString(36).substring(2, 10);
+    }
+    if (!message.extra) message.extra = {};
+    message.extra.redraft_id = id;
+    if (Array.isArray(message.swipe_info)) {
+        for (const info of message.swipe_info) {
+            if (!info) continue;
+            if (!info.extra) info.extra = {};
+            info.extra.redraft_id = id;
+        }
+    }
+    return id;
+}
+
+/**
+ * Get ReDraft's stable id for one swipe of a message, optionally assigning one.
+ * The id lives in that swipe's swipe_info extra (and in message.extra while the
+ * swipe is active), so it survives earlier swipes being deleted. ST copies
+ * message.extra into a newly generated swipe, so an id an earlier swipe already
+ * carries belongs to that swipe, not this one.
+ * @param {object} message Chat message
+ * @param {boolean} create Assign a new id if the swipe has none
+ * @param {number} [swipeIndex] Swipe to look at, defaults to the active one
+ * @returns {string|null}
+ */
+function getSwipeId(message, create = false, swipeIndex = message?.swipe_id ?? 0) {
+    if (!message) return null;
+    const infos = Array.isArray(message.swipe_info) ? message.swipe_info : [];
+    const info = infos[swipeIndex];
+    const active = swipeIndex === (message.swipe_id ?? 0);
+    let id = info?.extra?.redraft_swipe_id || (active ? message.extra?.redraft_swipe_id : null) || null;
+    if (id && infos.some((other, i) => i < swipeIndex && other?.extra?.redraft_swipe_id === id)) {
+        id = null;
+    }
+    if (!create || id) return id;
+
+    id = 's' + Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+    if (info) {
+        if (!info.extra) info.extra = {};
+        info.extra.redraft_swipe_id = id;
+    }
+    if (active) {
+        if (!message.extra) message.extra = {};
+        message.extra.redraft_swipe_id = id;
+    }
+    return id;
+}
+
+/**
+ * Metadata key for a message: its stable id plus the active swipe's id.
+ * @param {number} messageIndex
+ * @param {boolean} create Assign ids if the message or swipe has none
+ * @returns {string|null}
+ */
+function getMessageKey(messageIndex, create = false) {
+    const message = SillyTavern.getContext().chat?.[messageIndex];
+    const id = getMessageId(message, create);
+    const swipe = id ? getSwipeId(message, create) : null;
+    return id && swipe ? `${id}:${swipe}` : null;
+}
+
+/**
+ * Split a metadata key into its message id and swipe id.
+ * Keys written before swipes had ids carry a swipe index instead (see migrateLegacyHistory).
+ */
+function parseMessageKey(key) {
+    const sep = key.lastIndexOf(':');
+    if (sep === -1) return { id: key, swipe: '0' };
+    return { id: key.substring(0, sep), swipe: key.substring(sep + 1) };
+}
+
+/**
+ * Find the current chat index of a message key.
+ * Returns -1 if the message is gone or a different swipe is active.
+ * @param {string} key
+ */
+function findMessageIndexByKey(key) {
+    const { chat } = SillyTavern.getContext();
+    if (!chat || !key) return -1;
+    const { id, swipe } = parseMessageKey(key);
+    for (let i = chat.length - 1; i >= 0; i--) {
+        if (getMessageId(chat[i]) === id) {
+            return getSwipeId(chat[i]) === swipe ? i : -1;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Read the chat index from a rendered message element at click time,
+ * so buttons stay correct after earlier messages are deleted.
+ * @param {Element} el Any element inside a .mes block
+ */
+function getMesIdFromElement(el) {
+    const mesEl = el.closest('.mes');
+    return mesEl ? parseInt(mesEl.getAttribute('mesid'), 10) : -1;
+}
+
+// ─── Refinement History ─────────────────────────────────────────────
+
+const MAX_HISTORY_VERSIONS = 20; // Per message, including the original
+
+/**
+ * Get the per-chat history store from chatMetadata.
+ * Keyed by getMessageKey() so entries follow their message across deletions and swipes.
+ * Shape: { [messageKey]: { versions: [{ text, timestamp, kind, source, rules, changelog, entries,
+ *   connection, attempts, retries, blockWarnings, statsId, editedAt }], current } }
+ * editedAt is set when a refined revision was corrected by hand in the diff popup.
+ * @param {boolean} create Create the store if it doesn't exist yet
+ */
+function getHistoryStore(create = false) {
+    const { chatMetadata } = SillyTavern.getContext();
+    if (!chatMetadata) return null;
+    if (!chatMetadata['redraft_history'] && create) {
+        chatMetadata['redraft_history'] = {};
+    }
+    return chatMetadata['redraft_history'] || null;
+}
+
+/**
+ * Get the revision history of a message, or null if it was never refined.
+ * @param {number} messageIndex
+ */
+function getMessageHistory(messageIndex) {
+    const key = getMessageKey(messageIndex);
+    const history = key ? getHistoryStore()?.[key] : null;
+    return history && Array.isArray(history.versions) && history.versions.length > 0 ? history : null;
+}
+
+/**
+ * Record a refinement as a new revision of the message.
+ * The input text is stored first if it isn't already the current revision
+ * (first refinement, or the message was edited by hand since the last one).
+ * @param {number} messageIndex
+ * @param {string} inputText Text that was sent for refinement
+ * @param {string} refinedText Text that was written back
+ * @param {{rules: string[], changelog: string|null, entries?: Array, connection?: string,
+ *   attempts?: Array, retries?: Array, blockWarnings?: string[], statsId?: string}} info
+ *   entries: changelog parsed into rule entries (see parseChangelogEntries);
+ *   connection: label of the connection that produced it; attempts: connections
+ *   that failed before it; retries: that connection's own failed tries before it
+ *   succeeded (both see withFallback); blockWarnings: protected blocks that
+ *   had to be repositioned (see describeBlockRepairs); statsId: its record in the
+ *   refinement statistics (see recordRefinementStats)
+ */
+function recordRevision(messageIndex, inputText, refinedText, { rules, changelog, entries, connection, attempts, retries, blockWarnings, statsId }) {
+    const store = getHistoryStore(true);
+    const key = getMessageKey(messageIndex, true);
+    let history = store[key];
+    if (!history || !Array.isArray(history.versions) || history.versions.length === 0) {
+        history = store[key] = { versions: [], current: 0 };
+    }
+
+    const now = Date.now();
+    const { versions } = history;
+    let source = history.current;
+    if (versions.length === 0) {
+        versions.push({ text: inputText, timestamp: now, kind: 'original', source: null, rules: [], changelog: null });
+        source = 0;
+    } else if (versions[history.current]?.text !== inputText) {
+        versions.push({ text: inputText, timestamp: now, kind: 'edited', source: null, rules: [], changelog: null });
+        source = versions.length - 1;
+    }
+
+    versions.push({
+        text: refinedText,
+        timestamp: now,
+        kind: 'refined',
+        source,
+        rules: rules || [],
+        changelog: changelog || null,
+        entries: entries || [],
+        connection: connection || null,
+        attempts: attempts || [],
+        retries: retries || [],
+        blockWarnings: blockWarnings || [],
+        statsId: statsId || null,
+    });
+
+    // Cap history size — always keep the original, drop the oldest revision after it
+    while (versions.length > MAX_HISTORY_VERSIONS) {
+        versions.splice(1, 1);
+        for (const version of versions) {
+            if (version.source === 1) version.source = null;
+            else if (version.source > 1) version.source--;
+        }
+    }
+    history.current = versions.length - 1;
+}
+
+/**
+ * Convert metadata written by older versions into id-keyed revision histories:
+ *   - redraft_originals / redraft_diffs (single original per message index)
+ *   - redraft_history entries keyed by raw message index
+ *   - redraft_history entries keyed by message id and swipe index
+ * Assigns message and swipe ids as needed, so the chat must be saved if this returns true.
+ */
+function migrateLegacyHistory() {
+    const { chat, chatMetadata } = SillyTavern.getContext();
+    if (!chat || !chatMetadata) return false;
+    let migrated = false;
+
+    const originals = chatMetadata['redraft_originals'];
+    if (originals) {
+        const diffs = chatMetadata['redraft_diffs'] || {};
+        const store = getHistoryStore(true);
+        for (const [idx, original] of Object.entries(originals)) {
+            const i = parseInt(idx, 10);
+            if (!chat[i] || typeof original !== 'string') continue;
+            const key = getMessageKey(i, true);
+            if (store[key]) continue;
+            store[key] = {
+                versions: [
+                    { text: original, timestamp: null, kind: 'original', source: null, rules: [], changelog: null },
+                    { text: chat[i].mes, timestamp: null, kind: 'refined', source: 0, rules: [], changelog: diffs[idx]?.changelog || null },
+                ],
+                current: 1,
+            };
         }
-        if (povKey !== 'auto' && POV_INSTRUCTIONS[povKey]) {
-            contextParts.push(`Point of view: ${POV_INSTRUCTIONS[povKey]}`);
+        delete chatMetadata['redraft_originals'];
+        delete chatMetadata['redraft_diffs'];
+        migrated = true;
+    }
+
+    const store = getHistoryStore();
+    if (store) {
+        for (const key of Object.keys(store)) {
+            if (!/^\d+$/.test(key)) continue;
+            const i = parseInt(key, 10);
+            const newKey = chat[i] ? getMessageKey(i, true) : null;
+            if (newKey && !store[newKey]) store[newKey] = store[key];
+            delete store[key];
+            migrated = true;
         }
 
-        // Last user message (for echo detection)
-        const lastUserMsg = [...chat].reverse().find(m => m.is_user && m.mes);
-        if (lastUserMsg) {
-            contextParts.push(`Last user message:\n${lastUserMsg.mes}`);
+        const messagesById = new Map();
+        for (const message of chat) {
+            const id = getMessageId(message);
+            if (id) messagesById.set(id, message);
         }
+        for (const key of Object.keys(store)) {
+            const { id, swipe } = parseMessageKey(key);
+            if (!/^\d+$/.test(swipe)) continue;
+            const message = messagesById.get(id);
+            const swipeIndex = parseInt(swipe, 10);
+            const swipeId = message && swipeIndex < Math.max(1, message.swipes?.length || 0)
+                ? getSwipeId(message, true, swipeIndex)
+                : null;
+            const newKey = swipeId ? `${id}:${swipeId}` : null;
+            if (newKey && !store[newKey]) store[newKey] = store[key];
+            delete store[key];
+            migrated = true;
+        }
+    }
+
+    if (migrated) console.log(`${LOG_PREFIX} Migrated legacy undo data to id-keyed revision history`);
+    return migrated;
+}
 
-        // Previous AI response ending (for repetition detection)
-        const prevAiMsgs = chat.filter((m, i) => !m.is_user && m.mes && i < messageIndex);
-        if (prevAiMsgs.length > 0) {
-            const prevTail = prevAiMsgs[prevAiMsgs.length - 1].mes.slice(-200);
-            contextParts.push(`Previous response ending (last ~200 chars):\n${prevTail}`);
+/**
+ * Bring the history store in line with the current chat: migrate legacy
+ * data, drop entries for deleted messages or swipes, and redraw buttons.
+ */
+async function reconcileHistory() {
+    const { chat, saveChat, saveMetadata } = SillyTavern.getContext();
+    if (!chat) return;
+
+    const migrated = migrateLegacyHistory();
+    let pruned = false;
+
+    const store = getHistoryStore();
+    if (store) {
+        const swipeIds = new Map();
+        for (const message of chat) {
+            const id = getMessageId(message);
+            if (!id) continue;
+            const ids = new Set();
+            const count = Math.max(1, message.swipes?.length || 0);
+            for (let i = 0; i < count; i++) ids.add(getSwipeId(message, false, i));
+            swipeIds.set(id, ids);
+        }
+        for (const key of Object.keys(store)) {
+            const { id, swipe } = parseMessageKey(key);
+            if (!swipeIds.get(id)?.has(swipe)) {
+                delete store[key];
+                pruned = true;
+            }
         }
+    }
+
+    if (migrated) await saveChat();
+    if (migrated || pruned) await saveMetadata();
+    refreshHistoryButtons();
+}
+
+/**
+ * Human-readable label for a revision.
+ */
+function getVersionLabel(versions, index) {
+    const version = versions[index];
+    if (version.kind === 'original') return 'Original';
+    if (version.kind === 'edited') return 'Manual edit';
+    const refinedNumber = versions.slice(0, index + 1).filter(v => v.kind === 'refined').length;
+    return `Revision ${refinedNumber}${version.editedAt ? ' (edited)' : ''}`;
+}
+
+/**
+ * Show the revision browser for a message: restore any revision
+ * or compare any two of them.
+ * @param {number} messageIndex
+ */
+function showHistoryPopup(messageIndex) {
+    closeHistoryPopup();
+
+    const history = getMessageHistory(messageIndex);
+    if (!history) {
+        toastr.info('No refinement history for this message', 'ReDraft');
+        return;
+    }
 
-        const contextBlock = contextParts.length > 0
-            ? `Context:\n${contextParts.join('\n\n')}\n\n`
+    const { DOMPurify } = SillyTavern.libs;
+    const { versions } = history;
+    const escape = (text) => DOMPurify.sanitize(text, { ALLOWED_TAGS: [] });
+
+    const optionsHtml = versions
+        .map((_, i) => `<option value="${i}">${escape(getVersionLabel(versions, i))}</option>`)
+        .join('');
+
+    const itemsHtml = versions.map((version, i) => {
+        const time = version.timestamp ? new Date(version.timestamp).toLocaleString() : '';
+        const rules = version.rules?.length ? `<div class="redraft-history-rules">${escape(version.rules.join(', '))}</div>` : '';
+        const attempts = version.attempts?.length
+            ? `<details class="redraft-history-attempts"><summary>Via ${escape(version.connection || 'fallback')} after ${version.attempts.length} failed connection${version.attempts.length > 1 ? 's' : ''}</summary><div>${version.attempts
+                .map(a => `${escape(a.connection)}: ${escape(a.error)}${a.retries?.length > 1 ? ` (${a.retries.length} tries)` : ''}`)
+                .join('<br>')}</div></details>`
+            : '';
+        const retried = version.retries?.length
+            ? `<details class="redraft-history-attempts"><summary>Succeeded after ${version.retries.length} failed tr${version.retries.length > 1 ? 'ies' : 'y'}</summary><div>${version.retries
+                .map(r => escape(r.error))
+                .join('<br>')}</div></details>`
             : '';
+        const changelog = version.changelog
+            ? `<details class="redraft-history-changelog"><summary>Change Log</summary><div>${escape(version.changelog).replace(/\n/g, '<br>')}</div></details>`
+            : '';
+        const preview = escape(version.text.length > 200 ? version.text.substring(0, 200) + '…' : version.text);
+        return `
+            <div class="redraft-history-item${i === history.current ? ' current' : ''}" data-index="${i}">
+                <div class="redraft-history-item-header">
+                    <span class="redraft-history-label">${escape(getVersionLabel(versions, i))}</span>
+                    <span class="redraft-history-time">${escape(time)}</span>
+                    ${i === history.current
+                        ? '<span class="redraft-history-current-tag">Current</span>'
+                        : '<div class="menu_button redraft-history-restore" title="Restore this revision"><i class="fa-solid fa-rotate-left"></i></div>'}
+                </div>
+                ${rules}
+                <div class="redraft-history-preview">${preview}</div>
+                ${attempts}
+                ${retried}
+                ${changelog}
+            </div>
+        `;
+    }).join('');
 
-        const promptText = `${contextBlock}Apply the following refinement rules to the message below. Any [PROTECTED_N] placeholders are protected regions — output them exactly as-is.
+    const overlay = document.createElement('div');
+    overlay.id = 'redraft_history_overlay';
+    overlay.classList.add('redraft-diff-overlay');
+    overlay.innerHTML = `
+        <div class="redraft-diff-panel">
+            <div class="redraft-diff-header">
+                <span class="redraft-diff-title">Revision History</span>
+                <div class="redraft-diff-close" title="Close">
+                    <i class="fa-solid fa-xmark"></i>
+                </div>
+            </div>
+            <div class="redraft-history-compare">
+                <select class="redraft-history-compare-a">${optionsHtml}</select>
+                <i class="fa-solid fa-arrow-right"></i>
+                <select class="redraft-history-compare-b">${optionsHtml}</select>
+                <div class="menu_button redraft-history-compare-btn">
+                    <i class="fa-solid fa-code-compare"></i>
+                    <span>Compare</span>
+                </div>
+            </div>
+            <div class="redraft-diff-body redraft-history-list">${itemsHtml}</div>
+        </div>
+    `;
 
-Remember: output [CHANGELOG]...[/CHANGELOG] first, then the refined message inside [REFINED]...[/REFINED]. No other text outside these tags.
+    const selectA = overlay.querySelector('.redraft-history-compare-a');
+    const selectB = overlay.querySelector('.redraft-history-compare-b');
+    selectA.value = String(versions[history.current].source ?? 0);
+    selectB.value = String(history.current);
+
+    overlay.querySelector('.redraft-history-compare-btn').addEventListener('click', () => {
+        const a = versions[parseInt(selectA.value, 10)];
+        const b = versions[parseInt(selectB.value, 10)];
+        if (!a || !b) return;
+        closeHistoryPopup();
+        const isDirect = b.source === parseInt(selectA.value, 10);
+        showDiffPopup(a.text, b.text, isDirect ? b.changelog : null, isDirect ? { entries: b.entries, blockWarnings: b.blockWarnings } : {});
+    });
 
-Rules:\n${rulesText}\n\nOriginal message:\n${strippedMessage}`;
+    overlay.querySelectorAll('.redraft-history-restore').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const index = parseInt(btn.closest('.redraft-history-item').dataset.index, 10);
+            closeHistoryPopup();
+            await restoreRevision(messageIndex, index);
+            toastr.info(`${getVersionLabel(versions, index)} restored`, 'ReDraft');
+        });
+    });
 
-        console.debug(`${LOG_PREFIX} [prompt] System prompt (${systemPrompt.length} chars):`, systemPrompt.substring(0, 200) + '…');
-        console.debug(`${LOG_PREFIX} [prompt] Full refinement prompt (${promptText.length} chars):`);
-        console.debug(promptText);
+    overlay.querySelector('.redraft-diff-close').addEventListener('click', closeHistoryPopup);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeHistoryPopup();
+    });
 
-        // Call refinement via the appropriate mode
-        let refinedText;
-        if (settings.connectionMode === 'plugin') {
-            refinedText = await refineViaPlugin(promptText, systemPrompt);
-        } else {
-            refinedText = await refineViaST(promptText, systemPrompt);
-        }
+    document.body.appendChild(overlay);
+}
 
-        // Parse changelog from response
-        const { changelog, refined: cleanRefined } = parseChangelog(refinedText);
-        if (changelog) {
-            console.log(`${LOG_PREFIX} [changelog]`, changelog);
-        }
+function closeHistoryPopup() {
+    const overlay = document.getElementById('redraft_history_overlay');
+    if (overlay) overlay.remove();
+}
 
-        // Restore protected blocks and write refined text back
-        refinedText = restoreProtectedBlocks(cleanRefined, protectedBlocks);
-        const originalText = message.mes;
-        message.mes = refinedText;
-        await saveChat();
+// ─── Refinement Statistics ──────────────────────────────────────────
 
-        // Re-render the message in the UI
-        rerenderMessage(messageIndex);
+const MAX_STATS_RECORDS = 2000; // Oldest records are dropped beyond this
 
-        // Persist diff data so diff button can be restored on reload
-        if (!chatMetadata['redraft_diffs']) chatMetadata['redraft_diffs'] = {};
-        chatMetadata['redraft_diffs'][messageIndex] = { original: originalText, changelog: changelog || null };
-        await saveMetadata();
+/**
+ * Get the refinement log. It lives in extension settings rather than chat
+ * metadata so the global view covers every chat without loading them, and
+ * under its own key so getSettings() doesn't merge it on every call.
+ * Shape: [{ id, timestamp, chatId, messageKey, deleted, inserted, rules, latencyMs,
+ *   mode, connection, model, auto, user, undone, edited }]
+ */
+function getStatsStore() {
+    const { extensionSettings } = SillyTavern.getContext();
+    const key = `${MODULE_NAME}_stats`;
+    if (!Array.isArray(extensionSettings[key])) extensionSettings[key] = [];
+    return extensionSettings[key];
+}
 
-        // Show undo + diff buttons
-        showUndoButton(messageIndex);
-        showDiffButton(messageIndex, originalText, refinedText, changelog);
+/**
+ * Model behind a connection target, as far as the extension knows it.
+ * @param {{mode: string, profile?: string}} target See parseConnectionTarget
+ */
+function getTargetModel(target) {
+    if (target.mode === 'plugin') {
+        const profile = pluginProfiles.find(p => (target.profile ? p.name === target.profile : p.isDefault));
+        return profile?.model || null;
+    }
+    const { onlineStatus } = SillyTavern.getContext();
+    return onlineStatus && onlineStatus !== 'no_connection' ? onlineStatus : null;
+}
 
-        // Auto-show diff popup if toggle is on
-        if (settings.showDiffAfterRefine) {
-            showDiffPopup(originalText, refinedText, changelog);
-        }
+/**
+ * Log an applied refinement.
+ * @param {{messageKey: string, original: string, refined: string, entries: Array,
+ *   latencyMs: number, target: object, auto: boolean, isUser: boolean}} info
+ *   entries: parsed changelog, whose rule labels are the rules cited;
+ *   latencyMs: time from the first request to the usable response (re-asks included);
+ *   target: the connection that produced it
+ * @returns {string} Record id, kept on the revision so undos and edits can be traced back
+ */
+function recordRefinementStats({ messageKey, original, refined, entries, latencyMs, target, auto, isUser }) {
+    const store = getStatsStore();
+    const { delCount, insCount } = countChangedWords(computeWordDiff(original, refined));
+    const record = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        timestamp: Date.now(),
+        chatId: getProfileScope().chatId,
+        messageKey,
+        deleted: delCount,
+        inserted: insCount,
+        rules: [...new Set(entries.map(e => e.label).filter(Boolean))],
+        latencyMs: Number.isFinite(latencyMs) ? latencyMs : null,
+        mode: target.mode,
+        connection: target.label,
+        model: getTargetModel(target),
+        auto: !!auto,
+        user: !!isUser,
+        undone: false,
+        edited: false,
+    };
+    store.push(record);
+    if (store.length > MAX_STATS_RECORDS) store.splice(0, store.length - MAX_STATS_RECORDS);
+    saveSettings();
+    renderStatsPanel();
+    return record.id;
+}
 
-        toastr.success('Message refined', 'ReDraft');
-        console.log(`${LOG_PREFIX} Message ${messageIndex} refined successfully (mode: ${settings.connectionMode})`);
+/**
+ * Update flags on a logged refinement (undone, edited); unknown ids are ignored.
+ * @param {string} id
+ * @param {{undone?: boolean, edited?: boolean}} changes
+ */
+function updateRefinementStats(id, changes) {
+    const record = getStatsStore().find(r => r.id === id);
+    if (!record) return;
+    Object.assign(record, changes);
+    saveSettings();
+    renderStatsPanel();
+}
 
-    } catch (err) {
-        console.error(`${LOG_PREFIX} Refinement failed:`, err.message);
-        toastr.error(err.message || 'Refinement failed', 'ReDraft');
-    } finally {
-        isRefining = false;
-        setMessageButtonLoading(messageIndex, false);
-        setPopoutTriggerLoading(false);
+/**
+ * Aggregate logged refinements.
+ * @param {ReturnType<typeof getStatsStore>} records
+ */
+function aggregateStats(records) {
+    const average = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+    const rate = (part, whole) => (whole ? part / whole : null);
+
+    const rules = new Map();
+    const connections = new Map();
+    for (const record of records) {
+        for (const label of record.rules) {
+            const rule = rules.get(label) || { label, count: 0, undone: 0 };
+            rule.count++;
+            if (record.undone) rule.undone++;
+            rules.set(label, rule);
+        }
+        const name = record.model ? `${record.connection} (${record.model})` : record.connection;
+        const connection = connections.get(name) || { name, count: 0, latencies: [] };
+        connection.count++;
+        if (record.latencyMs !== null) connection.latencies.push(record.latencyMs);
+        connections.set(name, connection);
     }
+
+    return {
+        count: records.length,
+        undoRate: rate(records.filter(r => r.undone).length, records.length),
+        editRate: rate(records.filter(r => r.edited).length, records.length),
+        avgDeleted: average(records.map(r => r.deleted)),
+        avgInserted: average(records.map(r => r.inserted)),
+        avgLatencyMs: average(records.filter(r => r.latencyMs !== null).map(r => r.latencyMs)),
+        rules: [...rules.values()]
+            .map(r => ({ label: r.label, count: r.count, undoRate: rate(r.undone, r.count) }))
+            .sort((a, b) => b.count - a.count),
+        connections: [...connections.values()]
+            .map(c => ({ name: c.name, count: c.count, avgLatencyMs: average(c.latencies) }))
+            .sort((a, b) => b.count - a.count),
+    };
 }
 
 /**
- * Undo a refinement — restore original text.
- * @param {number} messageIndex
+ * Records in the scope picked in the Statistics drawer.
  */
-async function undoRedraft(messageIndex) {
-    const context = SillyTavern.getContext();
-    const { chat, saveChat, chatMetadata, saveMetadata } = context;
+function getScopedStats() {
+    const scope = document.getElementById('redraft_stats_scope')?.value || 'chat';
+    const records = getStatsStore();
+    if (scope === 'all') return records;
+    const { chatId } = getProfileScope();
+    return chatId ? records.filter(r => r.chatId === chatId) : [];
+}
 
-    const originals = chatMetadata['redraft_originals'];
-    if (!originals || !originals[messageIndex]) {
-        toastr.warning('No original text to restore', 'ReDraft');
+/**
+ * Render the aggregates into the Statistics drawer.
+ */
+function renderStatsPanel() {
+    const container = document.getElementById('redraft_stats');
+    if (!container) return;
+    const { DOMPurify } = SillyTavern.libs;
+    const escape = (text) => DOMPurify.sanitize(String(text), { ALLOWED_TAGS: [] });
+    const percent = (value) => (value === null ? '\u2014' : `${Math.round(value * 100)}%`);
+    const number = (value) => (value === null ? '\u2014' : value.toFixed(1));
+    const seconds = (ms) => (ms === null || ms === undefined ? '\u2014' : `${(ms / 1000).toFixed(1)}s`);
+
+    const stats = aggregateStats(getScopedStats());
+    if (stats.count === 0) {
+        container.innerHTML = '<small class="redraft-section-hint">No refinements recorded yet.</small>';
         return;
     }
 
-    chat[messageIndex].mes = originals[messageIndex];
-    delete originals[messageIndex];
+    const rulesHtml = stats.rules.length ? `
+        <table class="redraft-stats-table">
+            <tr><th>Rule cited</th><th>Times</th><th>Undone</th></tr>
+            ${stats.rules.map(r => `<tr><td>${escape(r.label)}</td><td>${r.count}</td><td>${percent(r.undoRate)}</td></tr>`).join('')}
+        </table>
+    ` : '';
+    const connectionsHtml = `
+        <table class="redraft-stats-table">
+            <tr><th>Connection</th><th>Runs</th><th>Avg. latency</th></tr>
+            ${stats.connections.map(c => `<tr><td>${escape(c.name)}</td><td>${c.count}</td><td>${seconds(c.avgLatencyMs)}</td></tr>`).join('')}
+        </table>
+    `;
 
-    // Also clean up persisted diff data
-    const diffs = chatMetadata['redraft_diffs'];
-    if (diffs) delete diffs[messageIndex];
+    container.innerHTML = `
+        <div class="redraft-stats-summary">
+            <div><strong>${stats.count}</strong><small>refinements</small></div>
+            <div><strong>\u2212${number(stats.avgDeleted)} / +${number(stats.avgInserted)}</strong><small>avg. words changed</small></div>
+            <div><strong>${percent(stats.undoRate)}</strong><small>undone</small></div>
+            <div><strong>${percent(stats.editRate)}</strong><small>edited by hand</small></div>
+            <div><strong>${seconds(stats.avgLatencyMs)}</strong><small>avg. latency</small></div>
+        </div>
+        ${rulesHtml}
+        ${connectionsHtml}
+    `;
+}
 
-    await saveMetadata();
-    await saveChat();
-    rerenderMessage(messageIndex);
-    hideUndoButton(messageIndex);
-    hideDiffButton(messageIndex);
+/**
+ * Download the records in the current scope.
+ * @param {'csv'|'json'} format
+ */
+function exportRefinementStats(format) {
+    const records = getScopedStats();
+    if (records.length === 0) {
+        toastr.warning('No statistics to export', 'ReDraft');
+        return;
+    }
+
+    let content;
+    if (format === 'json') {
+        content = JSON.stringify({ name: 'ReDraft Statistics', version: 1, records }, null, 2);
+    } else {
+        const columns = ['timestamp', 'chatId', 'messageKey', 'deleted', 'inserted', 'rules', 'latencyMs',
+            'mode', 'connection', 'model', 'auto', 'user', 'undone', 'edited'];
+        const cell = (value) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            // Spreadsheets run cells starting with these as formulas (names and labels are user text)
+            if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = records.map(r => columns.map(column => {
+            if (column === 'timestamp') return cell(new Date(r.timestamp).toISOString());
+            if (column === 'rules') return cell(r.rules.join('; '));
+            return cell(r[column]);
+        }).join(','));
+        content = [columns.join(','), ...rows].join('\r\n');
+    }
+
+    const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `redraft-stats.${format}`;
+    a.click();
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 
-    toastr.info('Original message restored', 'ReDraft');
-    console.log(`${LOG_PREFIX} Message ${messageIndex} restored`);
+    toastr.success(`Exported ${records.length} records`, 'ReDraft');
 }
 
 /**
- * Re-render a single message in the UI.
+ * Delete the records in the current scope.
  */
-function rerenderMessage(messageIndex) {
-    const context = SillyTavern.getContext();
-    const mesBlock = document.querySelector(`.mes[mesid="${messageIndex}"] .mes_text`);
-    if (mesBlock && context.chat[messageIndex]) {
-        const { messageFormatting } = context;
-        if (typeof messageFormatting === 'function') {
-            mesBlock.innerHTML = messageFormatting(context.chat[messageIndex].mes, context.chat[messageIndex].name, false, false, messageIndex);
-        } else {
-            mesBlock.textContent = context.chat[messageIndex].mes;
-        }
-    }
+function clearRefinementStats() {
+    const scoped = new Set(getScopedStats());
+    if (scoped.size === 0) return;
+    if (!confirm(`Delete ${scoped.size} recorded refinements? This can't be undone.`)) return;
+    const store = getStatsStore();
+    const kept = store.filter(r => !scoped.has(r));
+    store.splice(0, store.length, ...kept);
+    saveSettings();
+    renderStatsPanel();
+    toastr.info('Statistics cleared', 'ReDraft');
 }
 
 // ─── Per-Message Buttons ────────────────────────────────────────────
 
 function addMessageButtons() {
+    const { userMessageButtons } = getSettings();
     document.querySelectorAll('.mes[is_system="false"]').forEach(mesEl => {
         const isUser = mesEl.getAttribute('is_user') === 'true';
-        if (isUser) return;
+        if (isUser && !userMessageButtons) return;
 
-        const mesId = parseInt(mesEl.getAttribute('mesid'), 10);
         const buttonsRow = mesEl.querySelector('.mes_buttons');
         if (!buttonsRow) return;
 
@@ -705,7 +3301,12 @@ function addMessageButtons() {
         btn.title = 'ReDraft';
         btn.innerHTML = '<i class="fa-solid fa-pen-nib"></i>';
         btn.addEventListener('click', SillyTavern.libs.lodash.debounce(() => {
-            redraftMessage(mesId);
+            // While this message is refining the button doubles as Cancel
+            if (btn.classList.contains('redraft-loading')) {
+                cancelRefinement();
+                return;
+            }
+            redraftMessage(getMesIdFromElement(btn));
         }, 500, { leading: true, trailing: false }));
 
         buttonsRow.prepend(btn);
@@ -717,14 +3318,18 @@ function setMessageButtonLoading(messageIndex, loading) {
     if (!btn) return;
     if (loading) {
         btn.classList.add('redraft-loading');
-        btn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i>';
+        btn.title = 'Cancel ReDraft';
+        btn.innerHTML = '<i class="fa-solid fa-circle-stop"></i>';
     } else {
         btn.classList.remove('redraft-loading');
+        btn.title = 'ReDraft';
         btn.innerHTML = '<i class="fa-solid fa-pen-nib"></i>';
     }
 }
 
 function setPopoutTriggerLoading(loading) {
+    const cancelBtn = document.getElementById('redraft_popout_cancel');
+    if (cancelBtn) cancelBtn.style.display = loading ? '' : 'none';
     const trigger = document.getElementById('redraft_popout_trigger');
     if (!trigger) return;
     if (loading) {
@@ -737,195 +3342,679 @@ function setPopoutTriggerLoading(loading) {
     }
 }
 
-function showUndoButton(messageIndex) {
+/**
+ * Show undo/diff/history buttons for a message based on its revision history.
+ * Order after the refine button: [refine] [undo] [diff] [history]
+ * @param {number} messageIndex
+ */
+function showHistoryButtons(messageIndex) {
+    const history = getMessageHistory(messageIndex);
+    if (!history) return;
     const mesEl = document.querySelector(`.mes[mesid="${messageIndex}"]`);
     if (!mesEl) return;
     const buttonsRow = mesEl.querySelector('.mes_buttons');
-    if (!buttonsRow || buttonsRow.querySelector('.redraft-undo-btn')) return;
-
-    const btn = document.createElement('div');
-    btn.classList.add('mes_button', 'redraft-undo-btn');
-    btn.title = 'Undo ReDraft';
-    btn.innerHTML = '<i class="fa-solid fa-rotate-left"></i>';
-    btn.addEventListener('click', () => undoRedraft(messageIndex));
-
-    // Insert after the redraft button for consistent order: [refine] [undo] [diff]
-    const refineBtn = buttonsRow.querySelector('.redraft-msg-btn');
-    if (refineBtn) {
-        refineBtn.after(btn);
+    if (!buttonsRow) return;
+
+    let anchor = buttonsRow.querySelector('.redraft-msg-btn');
+    const place = (btn) => {
+        if (anchor) {
+            anchor.after(btn);
+        } else {
+            buttonsRow.prepend(btn);
+        }
+        anchor = btn;
+    };
+
+    if (history.current > 0 && !buttonsRow.querySelector('.redraft-undo-btn')) {
+        const btn = document.createElement('div');
+        btn.classList.add('mes_button', 'redraft-undo-btn');
+        btn.title = 'Undo ReDraft';
+        btn.innerHTML = '<i class="fa-solid fa-rotate-left"></i>';
+        btn.addEventListener('click', () => undoRedraft(getMesIdFromElement(btn)));
+        place(btn);
+    }
+
+    if (history.versions[history.current]?.kind === 'refined' && !buttonsRow.querySelector('.redraft-diff-btn')) {
+        const btn = document.createElement('div');
+        btn.classList.add('mes_button', 'redraft-diff-btn');
+        btn.title = 'View ReDraft Changes';
+        btn.innerHTML = '<i class="fa-solid fa-code-compare"></i>';
+        // Look the texts up on click so the diff always reflects the current revision
+        btn.addEventListener('click', () => {
+            const index = getMesIdFromElement(btn);
+            const h = getMessageHistory(index);
+            const { chat } = SillyTavern.getContext();
+            if (!h || !chat[index]) return;
+            const current = h.versions[h.current];
+            const source = h.versions[current.source ?? Math.max(0, h.current - 1)];
+            const key = getMessageKey(index);
+            showDiffPopup(source.text, chat[index].mes, current.changelog, {
+                entries: current.entries,
+                blockWarnings: current.blockWarnings,
+                onSave: (text) => saveRevisionEdit(key, text),
+            });
+        });
+        place(btn);
+    }
+
+    if (history.versions.length > 1 && !buttonsRow.querySelector('.redraft-history-btn')) {
+        const btn = document.createElement('div');
+        btn.classList.add('mes_button', 'redraft-history-btn');
+        btn.title = 'ReDraft Revision History';
+        btn.innerHTML = '<i class="fa-solid fa-clock-rotate-left"></i>';
+        btn.addEventListener('click', () => showHistoryPopup(getMesIdFromElement(btn)));
+        place(btn);
+    }
+}
+
+function hideHistoryButtons(messageIndex) {
+    document.querySelectorAll(`.mes[mesid="${messageIndex}"] :is(.redraft-undo-btn, .redraft-diff-btn, .redraft-history-btn)`)
+        .forEach(btn => btn.remove());
+}
+
+/**
+ * Redraw undo/diff/history buttons for every message from the history store.
+ * Buttons are cleared first so none linger on a bubble whose index or swipe changed.
+ */
+function refreshHistoryButtons() {
+    addMessageButtons();
+    document.querySelectorAll('.mes :is(.redraft-undo-btn, .redraft-diff-btn, .redraft-history-btn)')
+        .forEach(btn => btn.remove());
+    const store = getHistoryStore();
+    if (!store) return;
+    for (const key of Object.keys(store)) {
+        const index = findMessageIndexByKey(key);
+        if (index >= 0) showHistoryButtons(index);
+    }
+}
+
+// ─── Diff Engine ───────────────────────────────────────────────────────────
+
+/**
+ * Tokenize text into words and whitespace for diffing.
+ * Keeps whitespace as separate tokens so formatting is preserved.
+ */
+function tokenize(text) {
+    return text.match(/\S+|\s+/g) || [];
+}
+
+// Above this many tokens (both sides), equal paragraphs are matched first and
+// only the paragraphs in between are diffed word by word
+const PARAGRAPH_ALIGN_THRESHOLD = 2000;
+// Edit distance explored per split before a range is given up on and shown as
+// replaced wholesale; bounds time and memory on texts that share almost nothing
+const MAX_DIFF_COST = 2000;
+
+/**
+ * Map tokens to integer ids so comparisons are cheap.
+ * @param {string[][]} lists Token lists sharing one id space
+ * @returns {Int32Array[]}
+ */
+function internTokens(...lists) {
+    const ids = new Map();
+    return lists.map(list => Int32Array.from(list, token => {
+        let id = ids.get(token);
+        if (id === undefined) {
+            id = ids.size;
+            ids.set(token, id);
+        }
+        return id;
+    }));
+}
+
+/**
+ * Find the middle snake of a shortest edit script between a[aStart..aEnd) and
+ * b[bStart..bEnd) (Myers' linear-space variant: forward and backward searches
+ * meet in the middle, so only two diagonal arrays are kept).
+ * @returns {{x: number, y: number, u: number, v: number}|null} Snake from (x, y)
+ *   to (u, v) in absolute indices, or null if the edit distance exceeds MAX_DIFF_COST
+ */
+function findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = (delta & 1) !== 0;
+    const maxD = Math.min(Math.ceil((n + m) / 2), MAX_DIFF_COST);
+    const offset = maxD + 1;
+    const forward = new Int32Array(2 * maxD + 3); // furthest x on each diagonal k = x - y
+    const backward = new Int32Array(2 * maxD + 3); // same, counted from the ends
+
+    for (let d = 0; d <= maxD; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+                ? forward[offset + k + 1]
+                : forward[offset + k - 1] + 1;
+            let y = x - k;
+            const x0 = x;
+            const y0 = y;
+            while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                x++;
+                y++;
+            }
+            forward[offset + k] = x;
+            // Backward paths of cost d-1 sit on diagonals delta - k
+            if (odd && k >= delta - (d - 1) && k <= delta + (d - 1) && x + backward[offset + delta - k] >= n) {
+                return { x: aStart + x0, y: bStart + y0, u: aStart + x, v: bStart + y };
+            }
+        }
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+                ? backward[offset + k + 1]
+                : backward[offset + k - 1] + 1;
+            let y = x - k;
+            const x0 = x;
+            const y0 = y;
+            while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+                x++;
+                y++;
+            }
+            backward[offset + k] = x;
+            if (!odd && k >= delta - d && k <= delta + d && forward[offset + delta - k] + x >= n) {
+                return { x: aStart + n - x, y: bStart + m - y, u: aStart + n - x0, v: bStart + m - y0 };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Diff a[aStart..aEnd) against b[bStart..bEnd), reporting runs through emit.
+ * @param {(type: 'equal'|'delete'|'insert', start: number, end: number) => void} emit
+ *   Ranges index a for equal/delete runs and b for insert runs
+ */
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, emit) {
+    let prefix = 0;
+    while (aStart + prefix < aEnd && bStart + prefix < bEnd && a[aStart + prefix] === b[bStart + prefix]) prefix++;
+    let suffix = 0;
+    while (aEnd - suffix > aStart + prefix && bEnd - suffix > bStart + prefix
+        && a[aEnd - suffix - 1] === b[bEnd - suffix - 1]) suffix++;
+
+    emit('equal', aStart, aStart + prefix);
+    const as = aStart + prefix;
+    const ae = aEnd - suffix;
+    const bs = bStart + prefix;
+    const be = bEnd - suffix;
+    if (as === ae || bs === be) {
+        emit('delete', as, ae);
+        emit('insert', bs, be);
     } else {
-        buttonsRow.prepend(btn);
+        // Both sides non-empty with differing ends, so the cost is at least 2 and both halves shrink
+        const snake = findMiddleSnake(a, as, ae, b, bs, be);
+        if (snake) {
+            diffRange(a, as, snake.x, b, bs, snake.y, emit);
+            emit('equal', snake.x, snake.u);
+            diffRange(a, snake.u, ae, b, snake.v, be, emit);
+        } else {
+            emit('delete', as, ae);
+            emit('insert', bs, be);
+        }
     }
+    emit('equal', ae, aEnd);
 }
 
-function hideUndoButton(messageIndex) {
-    const btn = document.querySelector(`.mes[mesid="${messageIndex}"] .redraft-undo-btn`);
-    if (btn) btn.remove();
+/**
+ * Split tokens into paragraphs, each ending with its blank-line separator.
+ * @param {string[]} tokens
+ * @returns {Array<{start: number, end: number, key: string}>}
+ */
+function splitParagraphs(tokens) {
+    const paragraphs = [];
+    let start = 0;
+    tokens.forEach((token, i) => {
+        if (/\n\s*\n/.test(token) || i === tokens.length - 1) {
+            paragraphs.push({ start, end: i + 1, key: tokens.slice(start, i + 1).join('') });
+            start = i + 1;
+        }
+    });
+    return paragraphs;
 }
 
-function showDiffButton(messageIndex, originalText, refinedText, changelog = null) {
-    const mesEl = document.querySelector(`.mes[mesid="${messageIndex}"]`);
-    if (!mesEl) return;
-    const buttonsRow = mesEl.querySelector('.mes_buttons');
-    if (!buttonsRow || buttonsRow.querySelector('.redraft-diff-btn')) return;
-
-    const btn = document.createElement('div');
-    btn.classList.add('mes_button', 'redraft-diff-btn');
-    btn.title = 'View ReDraft Changes';
-    btn.innerHTML = '<i class="fa-solid fa-code-compare"></i>';
-    btn.addEventListener('click', () => showDiffPopup(originalText, refinedText, changelog));
-
-    // Insert after undo, or after refine, for consistent order: [refine] [undo] [diff]
-    const undoBtn = buttonsRow.querySelector('.redraft-undo-btn');
-    const refineBtn = buttonsRow.querySelector('.redraft-msg-btn');
-    const anchor = undoBtn || refineBtn;
-    if (anchor) {
-        anchor.after(btn);
+/**
+ * Diff two token lists.
+ * Returns array of {type: 'equal'|'delete'|'insert', text} segments; within
+ * each change the deleted text comes before the inserted text.
+ *
+ * Uses Myers' O(ND) algorithm in linear space. Long texts are first aligned
+ * paragraph by paragraph, and unchanged paragraphs are skipped.
+ * @param {string[]} a
+ * @param {string[]} b
+ */
+function diffTokens(a, b) {
+    const [ia, ib] = internTokens(a, b);
+
+    const runs = [];
+    const emit = (type, start, end) => {
+        if (end > start) runs.push({ type, text: (type === 'insert' ? b : a).slice(start, end).join('') });
+    };
+
+    if (a.length + b.length <= PARAGRAPH_ALIGN_THRESHOLD) {
+        diffRange(ia, 0, a.length, ib, 0, b.length, emit);
     } else {
-        buttonsRow.prepend(btn);
+        const pa = splitParagraphs(a);
+        const pb = splitParagraphs(b);
+        const [ka, kb] = internTokens(pa.map(p => p.key), pb.map(p => p.key));
+        // Diff the paragraph sequences, then the words inside each stretch of changed paragraphs
+        const ops = [];
+        diffRange(ka, 0, pa.length, kb, 0, pb.length, (type, start, end) => {
+            if (end > start) ops.push({ type, start, end });
+        });
+        let gapA = null; // Changed paragraphs awaiting a word-level diff
+        let gapB = null;
+        const flush = () => {
+            if (!gapA && !gapB) return;
+            const aRange = gapA ? [pa[gapA.start].start, pa[gapA.end - 1].end] : [0, 0];
+            const bRange = gapB ? [pb[gapB.start].start, pb[gapB.end - 1].end] : [0, 0];
+            if (gapA && gapB && gapA.end - gapA.start === gapB.end - gapB.start) {
+                // Same number of paragraphs on both sides: diff them pairwise
+                for (let i = 0; i < gapA.end - gapA.start; i++) {
+                    const p = pa[gapA.start + i];
+                    const q = pb[gapB.start + i];
+                    diffRange(ia, p.start, p.end, ib, q.start, q.end, emit);
+                }
+            } else {
+                diffRange(ia, aRange[0], aRange[1], ib, bRange[0], bRange[1], emit);
+            }
+            gapA = gapB = null;
+        };
+        for (const op of ops) {
+            if (op.type === 'equal') {
+                flush();
+                emit('equal', pa[op.start].start, pa[op.end - 1].end);
+            } else if (op.type === 'delete') {
+                gapA = { start: gapA?.start ?? op.start, end: op.end };
+            } else {
+                gapB = { start: gapB?.start ?? op.start, end: op.end };
+            }
+        }
+        flush();
+    }
+
+    // Merge runs: consecutive equal text, and each change as one delete then one insert
+    const merged = [];
+    let del = '';
+    let ins = '';
+    const flushChange = () => {
+        if (del) merged.push({ type: 'delete', text: del });
+        if (ins) merged.push({ type: 'insert', text: ins });
+        del = ins = '';
+    };
+    for (const run of runs) {
+        if (run.type === 'delete') del += run.text;
+        else if (run.type === 'insert') ins += run.text;
+        else {
+            flushChange();
+            const last = merged[merged.length - 1];
+            if (last?.type === 'equal') last.text += run.text;
+            else merged.push({ ...run });
+        }
+    }
+    flushChange();
+    return merged;
+}
+
+/**
+ * Compute word-level diff between original and refined text.
+ * @returns {Array<{type: 'equal'|'delete'|'insert', text: string}>}
+ */
+function computeWordDiff(original, refined) {
+    return diffTokens(tokenize(original), tokenize(refined));
+}
+
+const DIFF_GRANULARITIES = {
+    char: 'Character',
+    word: 'Word',
+    sentence: 'Sentence',
+};
+// Changed words are only split into characters when they are this short...
+const MAX_CHAR_DIFF_LENGTH = 200;
+// ...and at least this share of the longer side survives, otherwise it reads as noise
+const MIN_CHAR_OVERLAP = 0.5;
+
+/**
+ * Split text into sentences (each with its trailing spaces) and line breaks.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenizeSentences(text) {
+    return text.match(/\s*\n\s*|[^\n]+?(?:[.!?\u2026]+["'\u201D\u2019)\]*_]*(?=\s|$)|(?=\n)|$)[^\S\n]*/g) || [];
+}
+
+/**
+ * Break each change of a word diff down to the characters that differ, where
+ * the old and new words are similar enough for that to help (typo fixes,
+ * inflections); other changes stay whole.
+ * @param {Array<{type: string, text: string}>} diff Output of computeWordDiff
+ */
+function refineCharDiff(diff) {
+    const out = [];
+    const push = (seg) => {
+        const last = out[out.length - 1];
+        if (last?.type === seg.type) last.text += seg.text;
+        else out.push({ ...seg });
+    };
+    for (let i = 0; i < diff.length; i++) {
+        const seg = diff[i];
+        const next = diff[i + 1];
+        if (seg.type !== 'delete' || next?.type !== 'insert') {
+            push(seg);
+            continue;
+        }
+        i++;
+        const a = Array.from(seg.text); // Code points, so surrogate pairs stay whole
+        const b = Array.from(next.text);
+        const chars = a.length + b.length <= MAX_CHAR_DIFF_LENGTH ? diffTokens(a, b) : null;
+        const kept = chars ? chars.filter(s => s.type === 'equal').reduce((n, s) => n + Array.from(s.text).length, 0) : 0;
+        if (chars && kept >= Math.max(a.length, b.length) * MIN_CHAR_OVERLAP) {
+            chars.forEach(push);
+        } else {
+            push(seg);
+            push(next);
+        }
+    }
+    return out;
+}
+
+/**
+ * Diff original and refined text at the given granularity: 'word', 'char'
+ * (word diff with changed words broken down further) or 'sentence' (whole
+ * sentences replaced, so rewrites read as before/after blocks).
+ * @returns {Array<{type: 'equal'|'delete'|'insert', text: string}>}
+ */
+function computeDiff(original, refined, granularity = 'word') {
+    switch (granularity) {
+        case 'char': return refineCharDiff(computeWordDiff(original, refined));
+        case 'sentence': return diffTokens(tokenizeSentences(original), tokenizeSentences(refined));
+        default: return computeWordDiff(original, refined);
+    }
+}
+
+/**
+ * Group a word diff into hunks: runs of equal text, and changes that pair
+ * the deleted text with the inserted text replacing it (either may be empty).
+ * @param {Array<{type: string, text: string}>} diff Output of computeWordDiff
+ * @returns {Array<{type: 'equal', text: string}|{type: 'change', del: string, ins: string}>}
+ */
+function buildHunks(diff) {
+    const hunks = [];
+    for (const seg of diff) {
+        if (seg.type === 'equal') {
+            hunks.push({ type: 'equal', text: seg.text });
+            continue;
+        }
+        let last = hunks[hunks.length - 1];
+        if (!last || last.type !== 'change') {
+            last = { type: 'change', del: '', ins: '' };
+            hunks.push(last);
+        }
+        if (seg.type === 'delete') last.del += seg.text;
+        else last.ins += seg.text;
     }
+    return hunks;
 }
 
-function hideDiffButton(messageIndex) {
-    const btn = document.querySelector(`.mes[mesid="${messageIndex}"] .redraft-diff-btn`);
-    if (btn) btn.remove();
-}
+/**
+ * Carry review decisions over to a re-diff of the same texts (e.g. at another
+ * granularity): a new change is rejected if it overlaps a rejected old one.
+ * @param {ReturnType<typeof buildHunks>} oldHunks
+ * @param {boolean[]} oldAccepted
+ * @param {ReturnType<typeof buildHunks>} newHunks
+ * @returns {boolean[]} Decisions for newHunks
+ */
+function carryOverDecisions(oldHunks, oldAccepted, newHunks) {
+    // Span of the original text each hunk covers (empty for pure insertions)
+    const spans = (hunks) => {
+        let pos = 0;
+        return hunks.map(h => {
+            const start = pos;
+            pos += (h.type === 'equal' ? h.text : h.del).length;
+            return [start, pos];
+        });
+    };
+    const touches = (a, b) => (a[0] === a[1] || b[0] === b[1])
+        ? a[0] <= b[1] && b[0] <= a[1]
+        : a[0] < b[1] && b[0] < a[1];
 
-// ─── Diff Engine ───────────────────────────────────────────────────────────
+    const oldSpans = spans(oldHunks);
+    const rejected = oldSpans.filter((span, i) => oldHunks[i].type === 'change' && !oldAccepted[i]);
+    return spans(newHunks).map((span, i) => newHunks[i].type !== 'change' || !rejected.some(r => touches(span, r)));
+}
 
 /**
- * Tokenize text into words and whitespace for diffing.
- * Keeps whitespace as separate tokens so formatting is preserved.
+ * Rebuild text from hunks, taking the inserted side of accepted changes
+ * and the deleted (original) side of rejected ones.
+ * @param {ReturnType<typeof buildHunks>} hunks
+ * @param {boolean[]} accepted Per-hunk decision (ignored for equal hunks)
  */
-function tokenize(text) {
-    return text.match(/\S+|\s+/g) || [];
+function mergeHunks(hunks, accepted) {
+    return hunks.map((hunk, i) => {
+        if (hunk.type === 'equal') return hunk.text;
+        return accepted[i] ? hunk.ins : hunk.del;
+    }).join('');
 }
 
 /**
- * Compute LCS (Longest Common Subsequence) table for two token arrays.
+ * Count changed words (not segments) on each side of a diff.
+ * @param {Array<{type: string, text: string}>} diff
  */
-function lcsTable(a, b) {
-    const m = a.length, n = b.length;
-    const dp = Array.from({ length: m + 1 }, () => new Uint16Array(n + 1));
-    for (let i = 1; i <= m; i++) {
-        for (let j = 1; j <= n; j++) {
-            dp[i][j] = a[i - 1] === b[j - 1]
-                ? dp[i - 1][j - 1] + 1
-                : Math.max(dp[i - 1][j], dp[i][j - 1]);
-        }
-    }
-    return dp;
+function countChangedWords(diff) {
+    const countWords = (type) => diff
+        .filter(s => s.type === type)
+        .reduce((n, s) => n + s.text.trim().split(/\s+/).filter(Boolean).length, 0);
+    return { delCount: countWords('delete'), insCount: countWords('insert') };
 }
 
 /**
- * Compute word-level diff between original and refined text.
- * Returns array of {type: 'equal'|'delete'|'insert', text} segments.
+ * Render a diff as inline HTML with deletions and insertions highlighted.
+ * @param {Array<{type: string, text: string}>} diff
  */
-function computeWordDiff(original, refined) {
-    const a = tokenize(original);
-    const b = tokenize(refined);
-    const dp = lcsTable(a, b);
-
-    // Backtrace to build diff
-    const diff = [];
-    let i = a.length, j = b.length;
-    while (i > 0 || j > 0) {
-        if (i > 0 && j > 0 && a[i - 1] === b[j - 1]) {
-            diff.push({ type: 'equal', text: a[i - 1] });
-            i--; j--;
-        } else if (j > 0 && (i === 0 || dp[i][j - 1] >= dp[i - 1][j])) {
-            diff.push({ type: 'insert', text: b[j - 1] });
-            j--;
-        } else {
-            diff.push({ type: 'delete', text: a[i - 1] });
-            i--;
-        }
-    }
-    diff.reverse();
-
-    // Merge consecutive segments of the same type
-    const merged = [];
-    for (const seg of diff) {
-        if (merged.length > 0 && merged[merged.length - 1].type === seg.type) {
-            merged[merged.length - 1].text += seg.text;
-        } else {
-            merged.push({ ...seg });
+function diffToHtml(diff) {
+    const { DOMPurify } = SillyTavern.libs;
+    return diff.map(seg => {
+        const escaped = DOMPurify.sanitize(seg.text, { ALLOWED_TAGS: [] }).replace(/\n/g, '<br>');
+        switch (seg.type) {
+            case 'delete': return `<span class="redraft-diff-del">${escaped}</span>`;
+            case 'insert': return `<span class="redraft-diff-ins">${escaped}</span>`;
+            default: return escaped;
         }
-    }
-    return merged;
+    }).join('');
 }
 
+let _diffPopupOnClose = null; // Settles a pending review when the popup closes
+
 /**
  * Show a diff popup comparing original vs refined text.
+ *
+ * With options.review the popup is interactive: each change can be accepted or
+ * rejected on its own, and the returned promise resolves to the merged text
+ * (or null if the user discards the refinement or closes the popup).
+ * Changelog lines are parsed into rule entries; clicking one highlights the
+ * changes it describes in the diff.
+ * In review mode, or when options.onSave is given, the refined text can also be
+ * edited by hand while the diff against the original updates as you type; the
+ * edit is what a review resolves to, or what onSave receives.
+ * @param {string} original
+ * @param {string} refined
+ * @param {string|null} changelog
+ * @param {{review?: boolean, entries?: Array, warnings?: string[], blockWarnings?: string[],
+ *   onSave?: (text: string) => void}} options
+ *   entries: pre-parsed changelog entries (e.g. stored with a revision), otherwise parsed
+ *   with the current rules; warnings: validation problems to show above the diff;
+ *   blockWarnings: protected blocks that were put back in place (see describeBlockRepairs)
+ * @returns {Promise<string|null>|undefined} Only returns a promise in review mode
  */
-function showDiffPopup(original, refined, changelog = null) {
+function showDiffPopup(original, refined, changelog = null, options = {}) {
     // Remove any existing popup
     closeDiffPopup();
 
+    const review = !!options.review;
+    const editable = review || typeof options.onSave === 'function';
+
     if (original === refined) {
         toastr.info('No changes were made', 'ReDraft');
-        return;
+        return review ? Promise.resolve(null) : undefined;
     }
 
-    const diff = computeWordDiff(original, refined);
+    const settings = getSettings();
+    let granularity = DIFF_GRANULARITIES[settings.diffGranularity] ? settings.diffGranularity : 'word';
+    let target = refined; // Text on the refined side, which a hand edit replaces
+    let hunks = buildHunks(computeDiff(original, target, granularity));
+    let accepted = hunks.map(() => true);
 
-    // Build diff HTML
     const { DOMPurify } = SillyTavern.libs;
-    let diffHtml = '';
-    for (const seg of diff) {
-        const escaped = DOMPurify.sanitize(seg.text, { ALLOWED_TAGS: [] })
-            .replace(/\n/g, '<br>');
-        switch (seg.type) {
-            case 'delete':
-                diffHtml += `<span class="redraft-diff-del">${escaped}</span>`;
-                break;
-            case 'insert':
-                diffHtml += `<span class="redraft-diff-ins">${escaped}</span>`;
-                break;
-            default:
-                diffHtml += escaped;
-        }
-    }
-
-    // Count changed words (not segments)
-    const countWords = (segments, type) => segments
-        .filter(s => s.type === type)
-        .reduce((n, s) => n + s.text.trim().split(/\s+/).filter(Boolean).length, 0);
-    const delCount = countWords(diff, 'delete');
-    const insCount = countWords(diff, 'insert');
+    const escape = (text) => DOMPurify.sanitize(text, { ALLOWED_TAGS: [] }).replace(/\n/g, '<br>');
+    let layout = settings.diffLayout === 'split' ? 'split' : 'inline';
+    const buildInlineHtml = () => hunks.map((hunk, i) => {
+        if (hunk.type === 'equal') return escape(hunk.text);
+        const del = hunk.del ? `<span class="redraft-diff-del">${escape(hunk.del)}</span>` : '';
+        const ins = hunk.ins ? `<span class="redraft-diff-ins">${escape(hunk.ins)}</span>` : '';
+        return `<span class="redraft-hunk" data-hunk="${i}">${del}${ins}</span>`;
+    }).join('');
+    // Split layout: one row per paragraph of unchanged text, so both columns stay aligned.
+    // A change appears in both columns under the same data-hunk.
+    const buildSplitHtml = () => {
+        const rows = [{ left: '', right: '' }];
+        hunks.forEach((hunk, i) => {
+            const row = rows[rows.length - 1];
+            if (hunk.type === 'change') {
+                if (hunk.del) row.left += `<span class="redraft-hunk" data-hunk="${i}"><span class="redraft-diff-del">${escape(hunk.del)}</span></span>`;
+                if (hunk.ins) row.right += `<span class="redraft-hunk" data-hunk="${i}"><span class="redraft-diff-ins">${escape(hunk.ins)}</span></span>`;
+                return;
+            }
+            hunk.text.split(/(\n\s*\n)/).forEach((part, j) => {
+                if (j % 2) {
+                    rows.push({ left: '', right: '' });
+                } else if (part) {
+                    rows[rows.length - 1].left += escape(part);
+                    rows[rows.length - 1].right += escape(part);
+                }
+            });
+        });
+        const head = '<div class="redraft-split-row redraft-split-head"><div>Original</div><div>Refined</div></div>';
+        return head + rows
+            .filter(row => row.left || row.right)
+            .map(row => `<div class="redraft-split-row"><div class="redraft-split-cell">${row.left}</div><div class="redraft-split-cell">${row.right}</div></div>`)
+            .join('');
+    };
+    const buildDiffHtml = () => (layout === 'split' ? buildSplitHtml() : buildInlineHtml());
 
-    // Build changelog section if available
+    // Build changelog section if available — one clickable entry per "Rule: change" line
+    const entries = (options.entries || parseChangelogEntries(changelog, getEffectiveSettings()))
+        .map(entry => ({ ...entry, hunks: findEntryHunks(entry, hunks) }));
     let changelogHtml = '';
-    if (changelog) {
-        const sanitizedLog = DOMPurify.sanitize(changelog, { ALLOWED_TAGS: [] })
-            .replace(/\n/g, '<br>');
+    if (entries.length > 0) {
+        const ruleCounts = new Map();
+        for (const entry of entries) {
+            if (entry.label) ruleCounts.set(entry.label, (ruleCounts.get(entry.label) || 0) + 1);
+        }
+        const badgesHtml = [...ruleCounts]
+            .map(([label, n]) => `<span class="redraft-rule-badge">${escape(label)}${n > 1 ? ` \u00D7${n}` : ''}</span>`)
+            .join('');
+        const entriesHtml = entries.map((entry, i) => `
+            <div class="redraft-changelog-entry${entry.hunks.length ? ' linked' : ''}" data-entry="${i}"
+                title="${entry.hunks.length ? 'Click to highlight this change' : 'Could not locate this change in the diff'}">
+                ${entry.label ? `<span class="redraft-rule-badge${entry.rule ? '' : ' unknown'}">${escape(entry.label)}</span>` : ''}
+                <span>${escape(entry.text)}</span>
+            </div>
+        `).join('');
         changelogHtml = `
             <details class="redraft-changelog">
                 <summary class="redraft-changelog-summary">
                     <i class="fa-solid fa-clipboard-list"></i> Change Log
+                    <span class="redraft-changelog-rules">${badgesHtml}</span>
                 </summary>
-                <div class="redraft-changelog-body">${sanitizedLog}</div>
+                <div class="redraft-changelog-body">${entriesHtml}</div>
             </details>
         `;
     }
 
+    const warningsHtml = options.warnings?.length ? `
+            <div class="redraft-validation-warning">
+                <i class="fa-solid fa-triangle-exclamation"></i>
+                <div>
+                    <strong>This result failed validation.</strong> Check it before applying:
+                    <ul>${options.warnings.map(w => `<li>${escape(w)}</li>`).join('')}</ul>
+                </div>
+            </div>
+        ` : '';
+    const blockWarningsHtml = options.blockWarnings?.length ? `
+            <div class="redraft-validation-warning">
+                <i class="fa-solid fa-shield-halved"></i>
+                <div>
+                    <strong>Protected blocks were repositioned.</strong> Check that they are in the right place:
+                    <ul>${options.blockWarnings.map(w => `<li>${escape(w)}</li>`).join('')}</ul>
+                </div>
+            </div>
+        ` : '';
+
+    const granularityOptions = Object.entries(DIFF_GRANULARITIES)
+        .map(([value, label]) => `<option value="${value}"${value === granularity ? ' selected' : ''}>${label}</option>`)
+        .join('');
+
+    const editorHtml = editable ? `
+            <div class="redraft-diff-editor">
+                <textarea class="text_pole redraft-diff-editor-text" spellcheck="true"></textarea>
+                <div class="redraft-diff-footer">
+                    <span class="redraft-diff-editor-hint">The diff above follows your edits</span>
+                    <div class="menu_button redraft-edit-cancel">
+                        <i class="fa-solid fa-rotate-left"></i>
+                        <span>Cancel Edit</span>
+                    </div>
+                    <div class="menu_button redraft-edit-save">
+                        <i class="fa-solid fa-check"></i>
+                        <span>${review ? 'Apply' : 'Save'}</span>
+                    </div>
+                </div>
+            </div>
+        ` : '';
+
+    const footerHtml = review ? `
+            <div class="redraft-diff-footer">
+                <span class="redraft-review-count"></span>
+                <div class="menu_button redraft-review-accept-all" title="Accept all changes">
+                    <i class="fa-solid fa-check-double"></i>
+                </div>
+                <div class="menu_button redraft-review-reject-all" title="Reject all changes">
+                    <i class="fa-solid fa-ban"></i>
+                </div>
+                <div class="menu_button redraft-review-discard">
+                    <i class="fa-solid fa-xmark"></i>
+                    <span>Discard</span>
+                </div>
+                <div class="menu_button redraft-review-apply">
+                    <i class="fa-solid fa-check"></i>
+                    <span>Apply</span>
+                </div>
+            </div>
+        ` : '';
+
     const overlay = document.createElement('div');
     overlay.id = 'redraft_diff_overlay';
     overlay.classList.add('redraft-diff-overlay');
     overlay.innerHTML = `
-        <div class="redraft-diff-panel">
+        <div class="redraft-diff-panel" tabindex="-1">
             <div class="redraft-diff-header">
-                <span class="redraft-diff-title">ReDraft Changes</span>
+                <span class="redraft-diff-title">${review ? 'Review ReDraft Changes' : 'ReDraft Changes'}</span>
+                <select class="text_pole redraft-diff-granularity" title="Diff detail">${granularityOptions}</select>
+                <span class="redraft-diff-tools">
+                    <i class="fa-solid fa-chevron-up redraft-diff-prev" title="Previous change (p)"></i>
+                    <i class="fa-solid fa-chevron-down redraft-diff-next" title="Next change (n)"></i>
+                    <i class="fa-solid redraft-diff-layout"></i>
+                    ${editable ? '<i class="fa-solid fa-pen redraft-diff-edit" title="Edit the refined text"></i>' : ''}
+                </span>
                 <span class="redraft-diff-stats">
-                    <span class="redraft-diff-stat-del">−${delCount}</span>
-                    <span class="redraft-diff-stat-ins">+${insCount}</span>
+                    <span class="redraft-diff-stat-del"></span>
+                    <span class="redraft-diff-stat-ins"></span>
                 </span>
                 <div class="redraft-diff-close" title="Close">
                     <i class="fa-solid fa-xmark"></i>
                 </div>
             </div>
+            ${warningsHtml}
+            ${blockWarningsHtml}
             ${changelogHtml}
-            <div class="redraft-diff-body">${diffHtml}</div>
+            <div class="redraft-diff-body${review ? ' redraft-diff-review' : ''}"></div>
+            ${editorHtml}
+            ${footerHtml}
         </div>
     `;
 
@@ -936,11 +4025,305 @@ function showDiffPopup(original, refined, changelog = null) {
     });
 
     document.body.appendChild(overlay);
+
+    const panel = overlay.querySelector('.redraft-diff-panel');
+    const body = overlay.querySelector('.redraft-diff-body');
+    const layoutButton = overlay.querySelector('.redraft-diff-layout');
+    const countEl = overlay.querySelector('.redraft-review-count');
+    let editing = null; // Review state to return to if a hand edit is cancelled
+    const sync = () => {
+        if (!review || editing) return;
+        body.querySelectorAll('.redraft-hunk').forEach(el => {
+            const ok = accepted[parseInt(el.dataset.hunk, 10)];
+            el.classList.toggle('rejected', !ok);
+            el.title = ok ? 'Click to reject this change' : 'Click to accept this change';
+        });
+        const changes = hunks.filter(h => h.type === 'change').length;
+        const acceptedCount = hunks.filter((h, i) => h.type === 'change' && accepted[i]).length;
+        countEl.textContent = `${acceptedCount}/${changes} changes accepted`;
+    };
+    const render = () => {
+        Object.keys(DIFF_GRANULARITIES).forEach(g => body.classList.toggle(`redraft-granularity-${g}`, g === granularity));
+        panel.classList.toggle('redraft-diff-wide', layout === 'split');
+        body.classList.toggle('redraft-diff-split', layout === 'split');
+        layoutButton.classList.toggle('fa-table-columns', layout === 'inline');
+        layoutButton.classList.toggle('fa-align-left', layout === 'split');
+        layoutButton.title = layout === 'split' ? 'Show inline' : 'Show side by side';
+        // Word counts stay the same whichever granularity is shown
+        const { delCount, insCount } = countChangedWords(computeWordDiff(original, target));
+        overlay.querySelector('.redraft-diff-stat-del').textContent = `\u2212${delCount}`;
+        overlay.querySelector('.redraft-diff-stat-ins').textContent = `+${insCount}`;
+        body.innerHTML = buildDiffHtml();
+        delete body.dataset.current;
+        sync();
+    };
+    render();
+    // Take focus from the chat input so n / p reach the popup
+    panel.focus();
+
+    overlay.querySelector('.redraft-diff-prev').addEventListener('click', () => stepDiffChange(overlay, -1));
+    overlay.querySelector('.redraft-diff-next').addEventListener('click', () => stepDiffChange(overlay, 1));
+    layoutButton.addEventListener('click', () => {
+        layout = layout === 'split' ? 'inline' : 'split';
+        getSettings().diffLayout = layout;
+        saveSettings();
+        render();
+    });
+
+    const relinkEntries = () => {
+        for (const entry of entries) entry.hunks = findEntryHunks(entry, hunks);
+        overlay.querySelectorAll('.redraft-changelog-entry').forEach(el => {
+            const linked = entries[parseInt(el.dataset.entry, 10)].hunks.length > 0;
+            el.classList.toggle('linked', linked);
+            el.classList.remove('active');
+            el.title = linked ? 'Click to highlight this change' : 'Could not locate this change in the diff';
+        });
+    };
+    // Re-diff after the granularity or the refined text changes, keeping rejected changes rejected
+    const rediff = () => {
+        const newHunks = buildHunks(computeDiff(original, target, granularity));
+        accepted = carryOverDecisions(hunks, accepted, newHunks);
+        hunks = newHunks;
+        relinkEntries();
+        render();
+    };
+
+    overlay.querySelector('.redraft-diff-granularity').addEventListener('change', (e) => {
+        granularity = e.target.value;
+        getSettings().diffGranularity = granularity;
+        saveSettings();
+        rediff();
+    });
+
+    // Hand edits: the editor starts from the text as reviewed so far
+    let finishReview = null; // Resolves the review with the given text (review mode only)
+    if (editable) {
+        const editor = overlay.querySelector('.redraft-diff-editor-text');
+        overlay.querySelector('.redraft-diff-edit').addEventListener('click', () => {
+            if (editing) return;
+            editing = { hunks, accepted };
+            editor.value = target = mergeHunks(hunks, accepted);
+            accepted = hunks.map(() => true);
+            panel.classList.add('redraft-diff-editing');
+            rediff();
+            editor.focus();
+        });
+        editor.addEventListener('input', SillyTavern.libs.lodash.debounce(() => {
+            if (!editing) return;
+            target = editor.value;
+            rediff();
+        }, 200));
+        overlay.querySelector('.redraft-edit-cancel').addEventListener('click', () => {
+            ({ hunks, accepted } = editing);
+            editing = null;
+            target = refined;
+            panel.classList.remove('redraft-diff-editing');
+            relinkEntries();
+            render();
+        });
+        overlay.querySelector('.redraft-edit-save').addEventListener('click', () => {
+            const text = editor.value;
+            if (!text.trim()) {
+                toastr.warning('The refined text is empty', 'ReDraft');
+                return;
+            }
+            if (finishReview) {
+                finishReview(text);
+                return;
+            }
+            closeDiffPopup();
+            if (text !== refined) options.onSave(text);
+        });
+    }
+
+    // Clicking a changelog entry highlights the hunks it describes
+    overlay.querySelectorAll('.redraft-changelog-entry').forEach(el => {
+        el.addEventListener('click', () => {
+            if (!el.classList.contains('linked')) return;
+            const wasActive = el.classList.contains('active');
+            overlay.querySelectorAll('.redraft-changelog-entry.active').forEach(e => e.classList.remove('active'));
+            overlay.querySelectorAll('.redraft-hunk-highlight').forEach(e => e.classList.remove('redraft-hunk-highlight'));
+            if (wasActive) return;
+            el.classList.add('active');
+            const linked = entries[parseInt(el.dataset.entry, 10)].hunks
+                .flatMap(i => [...overlay.querySelectorAll(`.redraft-hunk[data-hunk="${i}"]`)]);
+            linked.forEach(h => h.classList.add('redraft-hunk-highlight'));
+            linked[0]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        });
+    });
+
+    if (!review) return;
+
+    const setAll = (value) => {
+        hunks.forEach((h, i) => { accepted[i] = value; });
+        sync();
+    };
+
+    // Delegated, since the hunks are re-rendered when the granularity changes
+    body.addEventListener('click', (e) => {
+        const el = e.target.closest('.redraft-hunk');
+        if (!el || editing) return;
+        const i = parseInt(el.dataset.hunk, 10);
+        accepted[i] = !accepted[i];
+        sync();
+    });
+    sync();
+
+    return new Promise((resolve) => {
+        _diffPopupOnClose = () => resolve(null);
+        overlay.querySelector('.redraft-review-accept-all').addEventListener('click', () => setAll(true));
+        overlay.querySelector('.redraft-review-reject-all').addEventListener('click', () => setAll(false));
+        overlay.querySelector('.redraft-review-discard').addEventListener('click', closeDiffPopup);
+        finishReview = (text) => {
+            _diffPopupOnClose = null;
+            closeDiffPopup();
+            resolve(text);
+        };
+        overlay.querySelector('.redraft-review-apply').addEventListener('click', () => finishReview(mergeHunks(hunks, accepted)));
+    });
+}
+
+/**
+ * Move to the next (direction 1) or previous (-1) change in the diff popup,
+ * wrapping around at either end.
+ * @param {HTMLElement} overlay
+ * @param {number} direction
+ */
+function stepDiffChange(overlay, direction) {
+    const body = overlay.querySelector('.redraft-diff-body');
+    // Hunk indices follow the text; in the split layout each change appears once per column
+    const ids = [...new Set([...body.querySelectorAll('.redraft-hunk')].map(el => el.dataset.hunk))]
+        .sort((a, b) => a - b);
+    if (ids.length === 0) return;
+    const current = ids.indexOf(body.dataset.current);
+    const next = current === -1
+        ? (direction > 0 ? 0 : ids.length - 1)
+        : (current + direction + ids.length) % ids.length;
+    body.dataset.current = ids[next];
+    body.querySelectorAll('.redraft-hunk-current').forEach(el => el.classList.remove('redraft-hunk-current'));
+    const els = body.querySelectorAll(`.redraft-hunk[data-hunk="${ids[next]}"]`);
+    els.forEach(el => el.classList.add('redraft-hunk-current'));
+    els[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
 }
 
 function closeDiffPopup() {
     const overlay = document.getElementById('redraft_diff_overlay');
     if (overlay) overlay.remove();
+    // Closing a review without applying discards it
+    if (_diffPopupOnClose) {
+        const onClose = _diffPopupOnClose;
+        _diffPopupOnClose = null;
+        onClose();
+    }
+}
+
+/**
+ * Show candidate refinements side by side, each with its changelog and
+ * diff against the original, and let the user pick one.
+ * @param {string} original
+ * @param {Array<{refined: string, changelog: string|null, issues?: Array<{message: string}>,
+ *   blockWarnings?: string[]}>} candidates issues: validation problems; blockWarnings:
+ *   repositioned protected blocks; both shown on the candidate
+ * @returns {Promise<number|null>} Index of the picked candidate, or null for none
+ */
+function showCandidatePopup(original, candidates) {
+    closeCandidatePopup();
+
+    const { DOMPurify } = SillyTavern.libs;
+
+    const columnsHtml = candidates.map((candidate, i) => {
+        const diff = computeWordDiff(original, candidate.refined);
+        const { delCount, insCount } = countChangedWords(diff);
+        const changelogHtml = candidate.changelog ? `
+            <details class="redraft-changelog">
+                <summary class="redraft-changelog-summary">
+                    <i class="fa-solid fa-clipboard-list"></i> Change Log
+                </summary>
+                <div class="redraft-changelog-body">${DOMPurify.sanitize(candidate.changelog, { ALLOWED_TAGS: [] }).replace(/\n/g, '<br>')}</div>
+            </details>
+        ` : '';
+        return `
+            <div class="redraft-candidate" data-index="${i}">
+                <div class="redraft-candidate-header">
+                    <span class="redraft-diff-title">Candidate ${i + 1}</span>
+                    <span class="redraft-diff-stats">
+                        <span class="redraft-diff-stat-del">−${delCount}</span>
+                        <span class="redraft-diff-stat-ins">+${insCount}</span>
+                    </span>
+                </div>
+                ${candidate.issues?.length ? `
+                    <div class="redraft-validation-warning">
+                        <i class="fa-solid fa-triangle-exclamation"></i>
+                        <span>Failed validation: ${DOMPurify.sanitize(candidate.issues.map(issue => issue.message).join('; '), { ALLOWED_TAGS: [] })}</span>
+                    </div>
+                ` : ''}
+                ${candidate.blockWarnings?.length ? `
+                    <div class="redraft-validation-warning">
+                        <i class="fa-solid fa-shield-halved"></i>
+                        <span>${DOMPurify.sanitize(candidate.blockWarnings.join('; '), { ALLOWED_TAGS: [] })}</span>
+                    </div>
+                ` : ''}
+                ${changelogHtml}
+                <div class="redraft-diff-body">${diffToHtml(diff)}</div>
+                <div class="menu_button redraft-candidate-pick">
+                    <i class="fa-solid fa-check"></i>
+                    <span>Use this</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    const overlay = document.createElement('div');
+    overlay.id = 'redraft_candidates_overlay';
+    overlay.classList.add('redraft-diff-overlay');
+    overlay.innerHTML = `
+        <div class="redraft-diff-panel redraft-candidates-panel">
+            <div class="redraft-diff-header">
+                <span class="redraft-diff-title">Pick a Refinement</span>
+                <div class="redraft-diff-close" title="Close">
+                    <i class="fa-solid fa-xmark"></i>
+                </div>
+            </div>
+            <div class="redraft-candidates">${columnsHtml}</div>
+            <div class="redraft-diff-footer">
+                <span class="redraft-review-count">${candidates.length} candidates</span>
+                <div class="menu_button redraft-candidate-none">
+                    <i class="fa-solid fa-xmark"></i>
+                    <span>Keep Original</span>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(overlay);
+
+    return new Promise((resolve) => {
+        _candidatePopupOnClose = () => resolve(null);
+        overlay.querySelectorAll('.redraft-candidate-pick').forEach(btn => {
+            btn.addEventListener('click', () => {
+                _candidatePopupOnClose = null;
+                closeCandidatePopup();
+                resolve(parseInt(btn.closest('.redraft-candidate').dataset.index, 10));
+            });
+        });
+        overlay.querySelector('.redraft-candidate-none').addEventListener('click', closeCandidatePopup);
+        overlay.querySelector('.redraft-diff-close').addEventListener('click', closeCandidatePopup);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) closeCandidatePopup();
+        });
+    });
+}
+
+let _candidatePopupOnClose = null; // Settles a pending pick when the popup closes
+
+function closeCandidatePopup() {
+    const overlay = document.getElementById('redraft_candidates_overlay');
+    if (overlay) overlay.remove();
+    if (_candidatePopupOnClose) {
+        const onClose = _candidatePopupOnClose;
+        _candidatePopupOnClose = null;
+        onClose();
+    }
 }
 
 // ─── Floating Popout ────────────────────────────────────────────────
@@ -995,8 +4378,16 @@ function togglePopout() {
 function updatePopoutAutoState() {
     const trigger = document.getElementById('redraft_popout_trigger');
     if (!trigger) return;
-    const settings = getSettings();
-    trigger.classList.toggle('auto-active', settings.autoRefine && settings.enabled);
+    trigger.classList.toggle('auto-active', isAutoRefineActive());
+}
+
+/**
+ * Show the current chat's auto-refine override in the popout.
+ */
+function updateChatAutoOverrideUI() {
+    const select = document.getElementById('redraft_popout_chat_auto');
+    if (select) select.value = SillyTavern.getContext().chatMetadata?.redraft_auto_refine || '';
+    updatePopoutAutoState();
 }
 
 async function updatePopoutStatus() {
@@ -1224,6 +4615,224 @@ async function importCustomRules(file) {
     }
 }
 
+// ─── Rule Profiles ──────────────────────────────────────────────────
+
+// Settings a profile carries; everything else stays global
+const PROFILE_FIELDS = ['builtInRules', 'customRules', 'pov', 'systemPrompt', 'sampling'];
+
+/**
+ * Identify the current chat and character for profile bindings.
+ * Group chats have no single character, so only chat bindings apply there.
+ */
+function getProfileScope() {
+    const context = SillyTavern.getContext();
+    const chatId = context.getCurrentChatId?.() || context.chatId || null;
+    const char = context.groupId ? null : context.characters?.[context.characterId];
+    return { chatId, avatar: char?.avatar || null, characterName: char?.name || null };
+}
+
+/**
+ * Find the profile bound to the current chat, or else to the current character.
+ * @returns {{profile: object|null, source: 'chat'|'character'|null}}
+ */
+function resolveActiveProfile(settings = getSettings()) {
+    const { chatId, avatar } = getProfileScope();
+    const byId = (id) => id ? settings.profiles.find(p => p.id === id) || null : null;
+
+    const chatProfile = chatId ? byId(settings.profileBindings.chats[chatId]) : null;
+    if (chatProfile) return { profile: chatProfile, source: 'chat' };
+    const charProfile = avatar ? byId(settings.profileBindings.characters[avatar]) : null;
+    if (charProfile) return { profile: charProfile, source: 'character' };
+    return { profile: null, source: null };
+}
+
+/**
+ * Settings with the active profile's rules applied on top of the global ones.
+ * Use this wherever rules, PoV or the system prompt are read for a refinement.
+ */
+function getEffectiveSettings() {
+    const settings = getSettings();
+    const { profile } = resolveActiveProfile(settings);
+    if (!profile) return settings;
+
+    const effective = { ...settings };
+    for (const field of PROFILE_FIELDS) {
+        if (profile[field] !== undefined) effective[field] = structuredClone(profile[field]);
+    }
+    // Rules added after the profile was saved fall back to their defaults
+    effective.builtInRules = { ...defaultSettings.builtInRules, ...effective.builtInRules };
+    // Sampling values the profile leaves unset keep the global ones
+    effective.sampling = { ...settings.sampling, ...getSamplingOverrides(profile.sampling) };
+    return effective;
+}
+
+/**
+ * Snapshot the global rule settings into a profile object.
+ */
+function snapshotProfileFields(settings) {
+    const snapshot = {};
+    for (const field of PROFILE_FIELDS) snapshot[field] = structuredClone(settings[field]);
+    return snapshot;
+}
+
+function getSelectedProfile() {
+    const select = document.getElementById('redraft_profile_select');
+    const id = select?.value;
+    return id ? getSettings().profiles.find(p => p.id === id) || null : null;
+}
+
+/**
+ * Fill the profile selector and refresh the "active profile" labels.
+ * @param {string} [selectId] Profile to select after re-rendering
+ */
+function renderProfiles(selectId) {
+    const select = document.getElementById('redraft_profile_select');
+    if (select) {
+        const current = selectId ?? select.value;
+        select.replaceChildren(
+            new Option('(select a profile)', ''),
+            ...getSettings().profiles.map(p => new Option(p.name, p.id)),
+        );
+        select.value = getSettings().profiles.some(p => p.id === current) ? current : '';
+    }
+    updateActiveProfileUI();
+}
+
+/**
+ * Show which profile applies to the current chat, in settings and the popout.
+ */
+function updateActiveProfileUI() {
+    const { profile, source } = resolveActiveProfile();
+    const text = profile ? `${profile.name} (${source === 'chat' ? 'this chat' : 'character'})` : 'Global rules';
+
+    const settingsEl = document.getElementById('redraft_active_profile');
+    if (settingsEl) settingsEl.textContent = `Active: ${text}`;
+    const popoutEl = document.getElementById('redraft_popout_profile');
+    if (popoutEl) popoutEl.textContent = `Profile: ${text}`;
+}
+
+/**
+ * Push global rule settings back into the rule, PoV and prompt controls
+ * (after loading a profile into the editor).
+ */
+function syncRulesUI() {
+    const settings = getSettings();
+    for (const key of Object.keys(BUILTIN_RULES)) {
+        const el = document.getElementById(`redraft_rule_${key}`);
+        if (el) el.checked = !!settings.builtInRules[key];
+    }
+    for (const id of ['redraft_pov', 'redraft_popout_pov']) {
+        const el = document.getElementById(id);
+        if (el) el.value = settings.pov || 'auto';
+    }
+    const promptEl = document.getElementById('redraft_system_prompt');
+    if (promptEl) promptEl.value = settings.systemPrompt || '';
+    syncSamplingUI();
+    renderCustomRules();
+}
+
+function createProfile() {
+    const name = prompt('Name for the new profile (saved from the current rules):')?.trim();
+    if (!name) return;
+    const s = getSettings();
+    const profile = {
+        id: Date.now().toString(36) + Math.random().toString(36).substring(2, 6),
+        name,
+        ...snapshotProfileFields(s),
+    };
+    s.profiles.push(profile);
+    saveSettings();
+    renderProfiles(profile.id);
+    toastr.success(`Profile "${name}" created`, 'ReDraft');
+}
+
+function updateProfileFromRules() {
+    const profile = getSelectedProfile();
+    if (!profile) {
+        toastr.warning('Select a profile first', 'ReDraft');
+        return;
+    }
+    if (!confirm(`Overwrite profile "${profile.name}" with the current rules?`)) return;
+    Object.assign(profile, snapshotProfileFields(getSettings()));
+    saveSettings();
+    toastr.success(`Profile "${profile.name}" updated`, 'ReDraft');
+}
+
+function loadProfileIntoRules() {
+    const profile = getSelectedProfile();
+    if (!profile) {
+        toastr.warning('Select a profile first', 'ReDraft');
+        return;
+    }
+    if (!confirm(`Replace the current global rules with profile "${profile.name}"?`)) return;
+    const s = getSettings();
+    for (const field of PROFILE_FIELDS) {
+        if (profile[field] !== undefined) s[field] = structuredClone(profile[field]);
+    }
+    s.builtInRules = { ...defaultSettings.builtInRules, ...s.builtInRules };
+    saveSettings();
+    syncRulesUI();
+    toastr.success(`Loaded profile "${profile.name}" into the rule editor`, 'ReDraft');
+}
+
+function deleteProfile() {
+    const profile = getSelectedProfile();
+    if (!profile) {
+        toastr.warning('Select a profile first', 'ReDraft');
+        return;
+    }
+    if (!confirm(`Delete profile "${profile.name}"? Its chat and character bindings are removed too.`)) return;
+    const s = getSettings();
+    s.profiles = s.profiles.filter(p => p.id !== profile.id);
+    for (const bindings of [s.profileBindings.chats, s.profileBindings.characters]) {
+        for (const [key, id] of Object.entries(bindings)) {
+            if (id === profile.id) delete bindings[key];
+        }
+    }
+    saveSettings();
+    renderProfiles('');
+}
+
+/**
+ * Bind the selected profile to the current chat or character, or clear both bindings.
+ * @param {'chat'|'character'|null} target null unbinds the current chat and character
+ */
+function bindProfile(target) {
+    const s = getSettings();
+    const { chatId, avatar, characterName } = getProfileScope();
+
+    if (target === null) {
+        if (chatId) delete s.profileBindings.chats[chatId];
+        if (avatar) delete s.profileBindings.characters[avatar];
+        saveSettings();
+        updateActiveProfileUI();
+        toastr.info('Profile bindings cleared for this chat and character', 'ReDraft');
+        return;
+    }
+
+    const profile = getSelectedProfile();
+    if (!profile) {
+        toastr.warning('Select a profile first', 'ReDraft');
+        return;
+    }
+    if (target === 'chat') {
+        if (!chatId) {
+            toastr.warning('No chat is open', 'ReDraft');
+            return;
+        }
+        s.profileBindings.chats[chatId] = profile.id;
+    } else {
+        if (!avatar) {
+            toastr.warning('Open a single-character chat to bind a character', 'ReDraft');
+            return;
+        }
+        s.profileBindings.characters[avatar] = profile.id;
+    }
+    saveSettings();
+    updateActiveProfileUI();
+    toastr.success(`Profile "${profile.name}" bound to ${target === 'chat' ? 'this chat' : characterName || 'this character'}`, 'ReDraft');
+}
+
 // ─── Settings UI Binding ────────────────────────────────────────────
 
 function bindSettingsUI() {
@@ -1265,6 +4874,46 @@ function bindSettingsUI() {
         });
     }
 
+    // Auto-refine timing: at generation end instead of after render
+    const beforeRenderEl = document.getElementById('redraft_auto_before_render');
+    if (beforeRenderEl) {
+        beforeRenderEl.checked = initSettings.autoRefineBeforeRender;
+        beforeRenderEl.addEventListener('change', (e) => {
+            getSettings().autoRefineBeforeRender = e.target.checked;
+            saveSettings();
+        });
+    }
+
+    // Auto-refine filters
+    const filterInputs = {
+        redraft_auto_min_length: 'minLength',
+        redraft_auto_max_length: 'maxLength',
+        redraft_auto_characters: 'characters',
+        redraft_auto_skip_protected: 'skipProtectedOnly',
+        redraft_auto_skip_unchanged: 'skipAfterNoChange',
+    };
+    for (const [id, field] of Object.entries(filterInputs)) {
+        const el = document.getElementById(id);
+        if (!el) continue;
+        const value = initSettings.autoRefineFilters[field];
+        if (el.type === 'checkbox') {
+            el.checked = value;
+        } else {
+            el.value = value;
+        }
+        el.addEventListener('change', (e) => {
+            const filters = getSettings().autoRefineFilters;
+            if (e.target.type === 'checkbox') {
+                filters[field] = e.target.checked;
+            } else if (e.target.type === 'number') {
+                filters[field] = Math.max(0, parseInt(e.target.value, 10) || 0);
+            } else {
+                filters[field] = e.target.value.trim();
+            }
+            saveSettings();
+        });
+    }
+
     // Show diff after refinement toggle
     const diffEl = document.getElementById('redraft_show_diff');
     if (diffEl) {
@@ -1275,6 +4924,16 @@ function bindSettingsUI() {
         });
     }
 
+    // Review before apply toggle
+    const reviewEl = document.getElementById('redraft_review_before_apply');
+    if (reviewEl) {
+        reviewEl.checked = initSettings.reviewBeforeApply;
+        reviewEl.addEventListener('change', (e) => {
+            getSettings().reviewBeforeApply = e.target.checked;
+            saveSettings();
+        });
+    }
+
     // System prompt
     const promptEl = document.getElementById('redraft_system_prompt');
     if (promptEl) {
@@ -1285,6 +4944,33 @@ function bindSettingsUI() {
         });
     }
 
+    // Sampling overrides
+    syncSamplingUI();
+    for (const [id, key] of Object.entries(SAMPLING_INPUTS)) {
+        document.getElementById(id)?.addEventListener('change', (e) => {
+            const value = parseSamplingValue(key, e.target.value);
+            getSettings().sampling[key] = value;
+            e.target.value = value ?? '';
+            saveSettings();
+        });
+    }
+    document.getElementById('redraft_sampling_stop')?.addEventListener('change', (e) => {
+        const stop = e.target.value.split('\n').filter(seq => seq.trim()).slice(0, MAX_STOP_SEQUENCES);
+        getSettings().sampling.stop = stop;
+        e.target.value = stop.join('\n');
+        saveSettings();
+    });
+
+    // Candidate count selector
+    const candidatesEl = document.getElementById('redraft_candidate_count');
+    if (candidatesEl) {
+        candidatesEl.value = String(initSettings.candidateCount || 1);
+        candidatesEl.addEventListener('change', (e) => {
+            getSettings().candidateCount = parseInt(e.target.value, 10) || 1;
+            saveSettings();
+        });
+    }
+
     // PoV selector
     const povEl = document.getElementById('redraft_pov');
     if (povEl) {
@@ -1311,12 +4997,89 @@ function bindSettingsUI() {
         }
     }
 
+    // User-message rule toggles
+    for (const key of Object.keys(USER_RULES)) {
+        const el = document.getElementById(`redraft_user_rule_${key}`);
+        if (el) {
+            el.checked = initSettings.userRules[key];
+            el.addEventListener('change', (e) => {
+                getSettings().userRules[key] = e.target.checked;
+                saveSettings();
+            });
+        }
+    }
+
+    // Buttons on user messages
+    const userButtonsEl = document.getElementById('redraft_user_buttons');
+    if (userButtonsEl) {
+        userButtonsEl.checked = initSettings.userMessageButtons;
+        userButtonsEl.addEventListener('change', (e) => {
+            getSettings().userMessageButtons = e.target.checked;
+            saveSettings();
+            if (e.target.checked) {
+                addMessageButtons();
+            } else {
+                document.querySelectorAll('.mes[is_user="true"] .redraft-msg-btn').forEach(btn => btn.remove());
+            }
+        });
+    }
+
+    // Refine user input before it is sent
+    const beforeSendEl = document.getElementById('redraft_refine_before_send');
+    if (beforeSendEl) {
+        beforeSendEl.checked = initSettings.refineBeforeSend;
+        beforeSendEl.addEventListener('change', (e) => {
+            getSettings().refineBeforeSend = e.target.checked;
+            saveSettings();
+        });
+    }
+
     // Save connection button
     const saveConnBtn = document.getElementById('redraft_save_connection');
     if (saveConnBtn) {
         saveConnBtn.addEventListener('click', saveConnection);
     }
 
+    // Connection profiles: editor and which profile manual/auto refines use
+    document.getElementById('redraft_conn_profile')?.addEventListener('change', (e) => fillConnectionFields(e.target.value));
+    document.getElementById('redraft_provider')?.addEventListener('change', () => {
+        updateProviderPlaceholders();
+        clearModelList();
+    });
+    document.getElementById('redraft_test_connection')?.addEventListener('click', testConnection);
+    document.getElementById('redraft_fallback_add')?.addEventListener('click', addFallback);
+    renderFallbackList();
+    const retriesEl = document.getElementById('redraft_retries');
+    if (retriesEl) {
+        retriesEl.value = initSettings.retries;
+        retriesEl.addEventListener('change', (e) => {
+            const retries = Math.min(5, Math.max(0, parseInt(e.target.value, 10) || 0));
+            getSettings().retries = retries;
+            e.target.value = retries;
+            saveSettings();
+        });
+    }
+    document.getElementById('redraft_fetch_models')?.addEventListener('click', fetchModels);
+    document.getElementById('redraft_model_select')?.addEventListener('change', (e) => {
+        const modelField = document.getElementById('redraft_model');
+        if (modelField && e.target.value) modelField.value = e.target.value;
+    });
+    document.getElementById('redraft_conn_profile_new')?.addEventListener('click', createConnectionProfile);
+    document.getElementById('redraft_conn_profile_delete')?.addEventListener('click', deleteConnectionProfile);
+    document.getElementById('redraft_conn_profile_default')?.addEventListener('click', setDefaultConnectionProfile);
+    for (const [id, field] of [
+        ['redraft_plugin_profile', 'pluginProfile'],
+        ['redraft_popout_plugin_profile', 'pluginProfile'],
+        ['redraft_auto_plugin_profile', 'autoPluginProfile'],
+    ]) {
+        document.getElementById(id)?.addEventListener('change', (e) => {
+            getSettings()[field] = e.target.value;
+            saveSettings();
+            // The settings and popout pickers share the manual setting
+            renderPluginProfileUI();
+        });
+    }
+
     // Import custom rules button
     const importBtn = document.getElementById('redraft_import_rules');
     const importFile = document.getElementById('redraft_import_rules_file');
@@ -1415,6 +5178,46 @@ function bindSettingsUI() {
         }, 500, { leading: true, trailing: false }));
     }
 
+    // Batch refinement
+    const batchAll = document.getElementById('redraft_batch_all');
+    if (batchAll) {
+        batchAll.addEventListener('click', () => startBatchFromPopout(false));
+    }
+    const batchUnrefined = document.getElementById('redraft_batch_unrefined');
+    if (batchUnrefined) {
+        batchUnrefined.addEventListener('click', () => startBatchFromPopout(true));
+    }
+    const batchPause = document.getElementById('redraft_batch_pause');
+    if (batchPause) {
+        batchPause.addEventListener('click', toggleBatchPause);
+    }
+    const batchCancel = document.getElementById('redraft_batch_cancel');
+    if (batchCancel) {
+        batchCancel.addEventListener('click', cancelBatch);
+    }
+
+    // Per-chat auto-refine override, stored in the chat's metadata
+    const chatAuto = document.getElementById('redraft_popout_chat_auto');
+    if (chatAuto) {
+        chatAuto.addEventListener('change', async (e) => {
+            const { chatMetadata, saveMetadata } = SillyTavern.getContext();
+            if (!chatMetadata) return;
+            if (e.target.value) {
+                chatMetadata.redraft_auto_refine = e.target.value;
+            } else {
+                delete chatMetadata.redraft_auto_refine;
+            }
+            await saveMetadata();
+            updatePopoutAutoState();
+        });
+        updateChatAutoOverrideUI();
+    }
+
+    const popoutCancel = document.getElementById('redraft_popout_cancel');
+    if (popoutCancel) {
+        popoutCancel.addEventListener('click', () => cancelRefinement());
+    }
+
     const popoutOpenSettings = document.getElementById('redraft_popout_open_settings');
 
     if (popoutOpenSettings) {
@@ -1451,6 +5254,32 @@ function bindSettingsUI() {
         });
     }
 
+    // Context sources
+    renderContextSources();
+    document.getElementById('redraft_preview_prompt')?.addEventListener('click', showPromptPreview);
+
+    // Statistics
+    document.getElementById('redraft_stats_scope')?.addEventListener('change', renderStatsPanel);
+    document.getElementById('redraft_stats_export_csv')?.addEventListener('click', () => exportRefinementStats('csv'));
+    document.getElementById('redraft_stats_export_json')?.addEventListener('click', () => exportRefinementStats('json'));
+    document.getElementById('redraft_stats_clear')?.addEventListener('click', clearRefinementStats);
+    renderStatsPanel();
+
+    // Rule profiles
+    const profileButtons = {
+        redraft_profile_new: createProfile,
+        redraft_profile_update: updateProfileFromRules,
+        redraft_profile_load: loadProfileIntoRules,
+        redraft_profile_delete: deleteProfile,
+        redraft_profile_bind_chat: () => bindProfile('chat'),
+        redraft_profile_bind_char: () => bindProfile('character'),
+        redraft_profile_unbind: () => bindProfile(null),
+    };
+    for (const [id, handler] of Object.entries(profileButtons)) {
+        document.getElementById(id)?.addEventListener('click', handler);
+    }
+    renderProfiles();
+
     // Render custom rules
     renderCustomRules();
 
@@ -1458,30 +5287,55 @@ function bindSettingsUI() {
     updateConnectionModeUI();
 }
 
+/**
+ * Start a batch over the whole chat after confirming the request count.
+ * @param {boolean} onlyUnrefined Skip messages that already have a refinement history
+ */
+function startBatchFromPopout(onlyUnrefined) {
+    const targets = getBatchTargets({ onlyUnrefined });
+    if (targets.length === 0) {
+        toastr.info(onlyUnrefined ? 'All AI messages are already refined' : 'No AI messages to refine', 'ReDraft');
+        return;
+    }
+    if (!confirm(`Refine ${targets.length} ${onlyUnrefined ? 'unrefined ' : ''}AI messages?\n\nThis sends one request per message.`)) {
+        return;
+    }
+    runBatch(targets);
+}
+
 async function saveConnection() {
+    const name = document.getElementById('redraft_conn_profile')?.value || DEFAULT_CONNECTION_PROFILE;
+    const provider = document.getElementById('redraft_provider')?.value || 'openai';
     const apiUrl = document.getElementById('redraft_api_url')?.value?.trim();
     const apiKey = document.getElementById('redraft_api_key')?.value?.trim();
     const model = document.getElementById('redraft_model')?.value?.trim();
     const maxTokens = document.getElementById('redraft_max_tokens')?.value;
+    // An existing profile keeps its saved key when the field is left blank
+    const hasSavedKey = !!pluginProfiles.find(p => p.name === name)?.maskedKey;
+
+    const needsKey = PLUGIN_PROVIDERS[provider]?.requiresKey && !hasSavedKey;
 
-    if (!apiUrl || !apiKey || !model) {
+    if (!apiUrl || (!apiKey && needsKey) || !model) {
         toastr.warning('Please fill in API URL, Key, and Model', 'ReDraft');
         return;
     }
 
     try {
-        await pluginRequest('/config', 'POST', {
+        const body = {
+            provider,
             apiUrl,
-            apiKey,
             model,
             maxTokens: maxTokens ? parseInt(maxTokens, 10) : 4096,
-        });
+        };
+        if (apiKey) body.apiKey = apiKey;
+        await pluginRequest(`/profiles/${encodeURIComponent(name)}`, 'PUT', body);
 
         const keyField = document.getElementById('redraft_api_key');
         if (keyField) keyField.value = '';
 
-        toastr.success('Connection saved', 'ReDraft');
+        toastr.success(`Connection "${name}" saved`, 'ReDraft');
         await checkPluginStatus();
+        renderPluginProfileUI(name);
     } catch (err) {
         toastr.error(err.message || 'Failed to save connection', 'ReDraft');
     }
@@ -1489,6 +5343,17 @@ async function saveConnection() {
 
 // ─── Event Handlers ─────────────────────────────────────────────────
 
+function findLastUserMessageIndex() {
+    const { chat } = SillyTavern.getContext();
+    if (!chat) return -1;
+    for (let i = chat.length - 1; i >= 0; i--) {
+        if (chat[i].is_user && !chat[i].is_system) {
+            return i;
+        }
+    }
+    return -1;
+}
+
 function findLastAiMessageIndex() {
     const { chat } = SillyTavern.getContext();
     if (!chat) return -1;
@@ -1500,36 +5365,180 @@ function findLastAiMessageIndex() {
     return -1;
 }
 
+/**
+ * Refine the user's message before it goes to the main model. ST awaits
+ * MESSAGE_SENT listeners before rendering and generating, so the refined
+ * text is what the model sees.
+ */
+async function onMessageSent(messageIndex) {
+    const settings = getSettings();
+    if (!settings.enabled || !settings.refineBeforeSend) return;
+    if (isRefining || batchState) return;
+
+    const { chat } = SillyTavern.getContext();
+    const index = Number(messageIndex);
+    if (!chat?.[index]?.is_user) return;
+
+    const result = await redraftMessage(index, { interactive: false });
+    if (result.status === 'failed') {
+        toastr.warning(`Could not refine your message (${result.error}) \u2014 sent as written`, 'ReDraft');
+    }
+}
+
+// ─── Auto-Refine Conditions ─────────────────────────────────────────
+
+/**
+ * Whether auto-refine is on for the current chat: the per-chat override
+ * (chatMetadata.redraft_auto_refine = 'on' | 'off') wins over the global switch.
+ */
+function isAutoRefineActive(settings = getSettings()) {
+    if (!settings.enabled) return false;
+    const override = SillyTavern.getContext().chatMetadata?.redraft_auto_refine;
+    if (override === 'on') return true;
+    if (override === 'off') return false;
+    return settings.autoRefine;
+}
+
+/**
+ * Check a new message against the auto-refine filters.
+ * @returns {string|null} Why the message is skipped, or null to refine it
+ */
+function getAutoRefineSkipReason(messageIndex, settings = getSettings()) {
+    const message = SillyTavern.getContext().chat?.[messageIndex];
+    if (!message || message.is_user || message.is_system || !message.mes) return 'not an AI message';
+    const filters = settings.autoRefineFilters;
+
+    const names = String(filters.characters || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    if (names.length > 0 && !names.includes(String(message.name || '').toLowerCase())) {
+        return `${message.name || 'speaker'} is not in the character list`;
+    }
+
+    // Measure only the prose the refinement can touch
+    const prose = stripProtectedBlocks(message.mes).stripped.replace(/\[PROTECTED_\d+\]/g, '').trim();
+    if (filters.skipProtectedOnly && !prose) return 'message contains only protected blocks';
+    if (filters.minLength > 0 && prose.length < filters.minLength) return `shorter than ${filters.minLength} characters`;
+    if (filters.maxLength > 0 && prose.length > filters.maxLength) return `longer than ${filters.maxLength} characters`;
+
+    if (filters.skipAfterNoChange && lastAutoRefineUnchanged) {
+        // Skip one message, then try again on the next
+        lastAutoRefineUnchanged = false;
+        return 'previous auto-refine made no changes';
+    }
+    return null;
+}
+
+/**
+ * Remember the outcome of an auto-refine for the skip-after-no-change filter.
+ */
+function noteAutoRefineResult(result) {
+    lastAutoRefineUnchanged = result?.status === 'unchanged';
+}
+
+/**
+ * Decide whether a new message should be auto-refined, logging why not.
+ */
+function shouldAutoRefine(messageIndex) {
+    const settings = getSettings();
+    if (!isAutoRefineActive(settings)) return false;
+    if (isRefining || batchState) return false;
+    const reason = getAutoRefineSkipReason(messageIndex, settings);
+    if (reason) {
+        console.debug(`${LOG_PREFIX} Auto-refine skipped for message ${messageIndex}: ${reason}`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Auto-refine a new AI message at generation end. ST awaits MESSAGE_RECEIVED
+ * listeners before rendering and saving the reply, so the refined text is what
+ * appears; the raw text is kept as the original revision for undo.
+ * @param {number} messageIndex
+ * @param {string} type Generation type, e.g. 'normal', 'swipe', 'continue'
+ */
+async function onMessageReceived(messageIndex, type) {
+    if (!getSettings().autoRefineBeforeRender) return;
+    // Continuations only append to a message; greetings aren't generated replies
+    if (['continue', 'appendFinal', 'first_message'].includes(type)) return;
+
+    const index = Number(messageIndex);
+    if (!shouldAutoRefine(index)) return;
+
+    preRenderKey = getMessageKey(index, true);
+    try {
+        const result = await redraftMessage(index, { interactive: false, auto: true });
+        noteAutoRefineResult(result);
+        if (result.status === 'failed') {
+            toastr.warning(`Auto-refine failed (${result.error}) \u2014 showing the original`, 'ReDraft');
+        } else if (result.status === 'cancelled') {
+            toastr.info('Auto-refine cancelled \u2014 showing the original', 'ReDraft');
+        }
+    } finally {
+        preRenderKey = null;
+    }
+}
+
+/**
+ * Abort a pre-render auto-refine when the user swipes, regenerates, stops
+ * generation or leaves the chat, so a stale result is never written back.
+ * @param {string} reason For the log
+ */
+function abortPreRenderRefine(reason) {
+    if (!preRenderKey) return;
+    console.log(`${LOG_PREFIX} Cancelling pre-render auto-refine: ${reason}`);
+    cancelRefinement({ stopGeneration: false });
+}
+
 function onCharacterMessageRendered(messageIndex) {
     const settings = getSettings();
-    if (!settings.enabled || !settings.autoRefine) return;
-    if (isRefining) return;
+    if (!isAutoRefineActive(settings)) return;
+    // Already refined at generation end — just bring up the undo/diff/history buttons
+    if (settings.autoRefineBeforeRender) {
+        refreshHistoryButtons();
+        return;
+    }
+    if (!shouldAutoRefine(messageIndex)) return;
 
-    setTimeout(() => {
-        redraftMessage(messageIndex);
+    setTimeout(async () => {
+        noteAutoRefineResult(await redraftMessage(messageIndex, { auto: true }));
     }, 100);
 }
 
 function onMessageRendered() {
-    addMessageButtons();
-    const context = SillyTavern.getContext();
-    const { chat, chatMetadata } = context;
-    const originals = chatMetadata?.['redraft_originals'];
-    const diffs = chatMetadata?.['redraft_diffs'];
-    if (originals) {
-        for (const idx of Object.keys(originals)) {
-            const i = parseInt(idx, 10);
-            showUndoButton(i);
-            // Restore diff button if persisted diff data exists
-            if (diffs && diffs[idx] && chat[i]) {
-                showDiffButton(i, diffs[idx].original, chat[i].mes, diffs[idx].changelog);
-            }
-        }
-    }
+    refreshHistoryButtons();
 }
 
 function onChatChanged() {
-    addMessageButtons();
+    abortPreRenderRefine('chat changed');
+    lastAutoRefineUnchanged = false;
+    // Entries activated in the previous chat don't belong in this one's prompts
+    lastWorldInfoEntries = [];
+    updateChatAutoOverrideUI();
+    // Migrates legacy metadata and restores undo/diff/history buttons for the newly loaded chat
+    reconcileHistory();
+    // The bound profile may differ per chat/character
+    updateActiveProfileUI();
+    renderStatsPanel();
+}
+
+function onMessageDeleted() {
+    abortPreRenderRefine('message deleted');
+    reconcileHistory();
+}
+
+function onMessageSwiped() {
+    abortPreRenderRefine('message swiped');
+    reconcileHistory();
+}
+
+function onGenerationStarted(type, _options, dryRun) {
+    // Quiet and dry-run generations don't replace the message being refined
+    if (dryRun || type === 'quiet') return;
+    abortPreRenderRefine(`new generation (${type || 'normal'})`);
+}
+
+function onGenerationStopped() {
+    abortPreRenderRefine('generation stopped');
 }
 
 // ─── Slash Command ──────────────────────────────────────────────────
@@ -1540,6 +5549,7 @@ function registerSlashCommand() {
         SlashCommandParser,
         SlashCommand,
         SlashCommandArgument,
+        SlashCommandNamedArgument,
         ARGUMENT_TYPE,
     } = context;
 
@@ -1557,10 +5567,31 @@ function registerSlashCommand() {
                 return '';
             }
 
+            // Batch mode: range=10-40 | range=all, optionally unrefined=true
+            const range = namedArgs?.range?.toString()?.trim();
+            const onlyUnrefined = String(namedArgs?.unrefined ?? '').trim() === 'true';
+            if (range || onlyUnrefined) {
+                let from = 0;
+                let to = Infinity;
+                if (range && range !== 'all') {
+                    const match = range.match(/^(\d+)\s*-\s*(\d+)$/);
+                    if (!match) {
+                        toastr.warning('Invalid range \u2014 use e.g. range=10-40 or range=all', 'ReDraft');
+                        return '';
+                    }
+                    from = Math.min(parseInt(match[1], 10), parseInt(match[2], 10));
+                    to = Math.max(parseInt(match[1], 10), parseInt(match[2], 10));
+                }
+                await runBatch(getBatchTargets({ from, to, onlyUnrefined }));
+                return '';
+            }
+
             let idx;
             const rawArg = unnamedArgs?.toString()?.trim();
             if (rawArg && !isNaN(rawArg)) {
                 idx = parseInt(rawArg, 10);
+            } else if (String(namedArgs?.user ?? '').trim() === 'true') {
+                idx = findLastUserMessageIndex();
             } else {
                 idx = findLastAiMessageIndex();
             }
@@ -1575,6 +5606,30 @@ function registerSlashCommand() {
         },
         aliases: [],
         returns: 'empty string',
+        namedArgumentList: SlashCommandNamedArgument ? [
+            SlashCommandNamedArgument.fromProps({
+                name: 'range',
+                description: 'Batch-refine AI messages in an index range, e.g. 10-40, or "all" for the whole chat',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false,
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'unrefined',
+                description: 'Batch-refine only AI messages that have not been refined yet',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: ['true', 'false'],
+                isRequired: false,
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'user',
+                description: 'Refine the last user message (with the user-message rules) instead of the last AI message',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: ['true', 'false'],
+                isRequired: false,
+            }),
+        ] : [],
         unnamedArgumentList: [
             SlashCommandArgument.fromProps({
                 description: 'Message index to refine (defaults to last AI message)',
@@ -1582,7 +5637,7 @@ function registerSlashCommand() {
                 isRequired: false,
             }),
         ],
-        helpString: '<div>Refine a message using ReDraft. Optionally provide a message index, otherwise refines the last AI message.</div>',
+        helpString: '<div>Refine a message using ReDraft. Optionally provide a message index, otherwise refines the last AI message.</div><div>Use <code>/redraft user=true</code> to refine your own last message.</div><div>Batch mode: <code>/redraft range=10-40</code>, <code>/redraft range=all</code>, or <code>/redraft unrefined=true</code> to refine only messages without a refinement history.</div>',
     }));
 
     console.log(`${LOG_PREFIX} Slash command /redraft registered`);
@@ -1615,10 +5670,19 @@ function registerSlashCommand() {
                 <input type="checkbox" id="redraft_auto_refine" />
                 <span>Auto-refine new AI messages</span>
             </label>
+            <label class="checkbox_label redraft-sub-option"
+                title="Refine when generation ends, before the message is shown or saved. The raw reply is kept for undo.">
+                <input type="checkbox" id="redraft_auto_before_render" />
+                <span>Refine before showing the message</span>
+            </label>
             <label class="checkbox_label">
                 <input type="checkbox" id="redraft_show_diff" />
                 <span>Show diff after refinement</span>
             </label>
+            <label class="checkbox_label" title="Show the changes first and apply only the ones you accept">
+                <input type="checkbox" id="redraft_review_before_apply" />
+                <span>Review changes before applying</span>
+            </label>
 
             <!-- Connection Section -->
             <div class="inline-drawer">
@@ -1637,6 +5701,31 @@ function registerSlashCommand() {
 
                     <!-- Plugin connection fields (shown only in plugin mode) -->
                     <div id="redraft_plugin_fields" style="display: none;">
+                        <div class="redraft-form-group">
+                            <label for="redraft_conn_profile">Connection Profile</label>
+                            <div class="redraft-profile-row">
+                                <select id="redraft_conn_profile"></select>
+                                <div id="redraft_conn_profile_new" class="menu_button menu_button_icon" title="New connection profile">
+                                    <i class="fa-solid fa-plus"></i>
+                                </div>
+                                <div id="redraft_conn_profile_default" class="menu_button menu_button_icon" title="Make this the plugin's default connection">
+                                    <i class="fa-solid fa-star"></i>
+                                </div>
+                                <div id="redraft_conn_profile_delete" class="menu_button menu_button_icon" title="Delete connection profile">
+                                    <i class="fa-solid fa-trash-can"></i>
+                                </div>
+                            </div>
+                        </div>
+                        <div class="redraft-form-group">
+                            <label for="redraft_provider">Provider</label>
+                            <select id="redraft_provider">
+                                <option value="openai">OpenAI-compatible</option>
+                                <option value="anthropic">Anthropic Messages</option>
+                                <option value="gemini">Google Gemini</option>
+                                <option value="ollama">Ollama</option>
+                                <option value="kobold">KoboldCpp (text completion)</option>
+                            </select>
+                        </div>
                         <div class="redraft-form-group">
                             <label for="redraft_api_url">API URL</label>
                             <input id="redraft_api_url" type="text" class="text_pole"
@@ -1649,7 +5738,13 @@ function registerSlashCommand() {
                         </div>
                         <div class="redraft-form-group">
                             <label for="redraft_model">Model</label>
-                            <input id="redraft_model" type="text" class="text_pole" placeholder="gpt-4o-mini" />
+                            <div class="redraft-profile-row">
+                                <input id="redraft_model" type="text" class="text_pole" placeholder="gpt-4o-mini" />
+                                <select id="redraft_model_select" style="display: none;" title="Models the API offers"></select>
+                                <div id="redraft_fetch_models" class="menu_button menu_button_icon" title="List the API's models">
+                                    <i class="fa-solid fa-list"></i>
+                                </div>
+                            </div>
                         </div>
                         <div class="redraft-form-group">
                             <label for="redraft_max_tokens">Max Tokens</label>
@@ -1661,14 +5756,43 @@ function registerSlashCommand() {
                                 <i class="fa-solid fa-save"></i>
                                 <span>Save Connection</span>
                             </div>
+                            <div id="redraft_test_connection" class="menu_button" title="Send a tiny request with these settings">
+                                <i class="fa-solid fa-plug-circle-check"></i>
+                                <span>Test</span>
+                            </div>
                             <span id="redraft_connection_info" class="redraft-connection-info"></span>
                         </div>
+                        <div class="redraft-form-row">
+                            <div class="redraft-form-group">
+                                <label for="redraft_plugin_profile">Manual refine uses</label>
+                                <select id="redraft_plugin_profile"></select>
+                            </div>
+                            <div class="redraft-form-group">
+                                <label for="redraft_auto_plugin_profile">Auto-refine uses</label>
+                                <select id="redraft_auto_plugin_profile"></select>
+                            </div>
+                        </div>
+                        <div class="redraft-form-group">
+                            <label for="redraft_retries">Retries</label>
+                            <input id="redraft_retries" type="number" class="text_pole" min="0" max="5"
+                                title="Extra attempts after a rate limit, server error or timeout" />
+                        </div>
                     </div>
 
                     <!-- ST mode info -->
                     <div id="redraft_st_mode_info" class="redraft-st-mode-info">
                         <small>Refinement will use your currently selected API and model in SillyTavern.</small>
                     </div>
+
+                    <div class="redraft-form-group">
+                        <label>Fallback Connections</label>
+                        <small class="redraft-section-hint">Tried in order when the connection above fails.</small>
+                        <div id="redraft_fallback_list"></div>
+                        <div id="redraft_fallback_add" class="menu_button">
+                            <i class="fa-solid fa-plus"></i>
+                            <span>Add Fallback</span>
+                        </div>
+                    </div>
                 </div>
             </div>
 
@@ -1744,6 +5868,165 @@ function registerSlashCommand() {
                 </div>
             </div>
 
+            <!-- User Messages Section -->
+            <div class="inline-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header">
+                    <span>User Messages</span>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                </div>
+                <div class="inline-drawer-content">
+                    <small class="redraft-section-hint">Your own messages use these rules instead of the ones above.</small>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="redraft_user_buttons" />
+                        <span>Show ReDraft button on user messages</span>
+                    </label>
+                    <label class="checkbox_label"
+                        title="Refine your message with the rules below before the AI sees it. Sending waits until the refinement finishes.">
+                        <input type="checkbox" id="redraft_refine_before_send" />
+                        <span>Refine my messages before sending</span>
+                    </label>
+                    <div class="redraft-rules-builtins">
+                        <label class="checkbox_label"
+                            title="Fix typos, spelling, capitalization and punctuation without rephrasing.">
+                            <input type="checkbox" id="redraft_user_rule_grammar" />
+                            <span>Fix typos &amp; grammar</span>
+                        </label>
+                        <label class="checkbox_label"
+                            title="Normalize *actions* and &quot;dialogue&quot; formatting and close unclosed marks.">
+                            <input type="checkbox" id="redraft_user_rule_formatting" />
+                            <span>Fix formatting</span>
+                        </label>
+                        <label class="checkbox_label"
+                            title="Turn terse shorthand into full sentences without adding anything you didn't write.">
+                            <input type="checkbox" id="redraft_user_rule_expand" />
+                            <span>Expand shorthand</span>
+                        </label>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Auto-Refine Conditions Section -->
+            <div class="inline-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header">
+                    <span>Auto-refine Conditions</span>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                </div>
+                <div class="inline-drawer-content">
+                    <small class="redraft-section-hint">Auto-refine only messages that match. Lengths count characters
+                        outside protected blocks (0 = no limit). The popout can turn auto-refine on or off per chat.</small>
+                    <div class="redraft-form-row">
+                        <div class="redraft-form-group">
+                            <label for="redraft_auto_min_length">Min length</label>
+                            <input type="number" id="redraft_auto_min_length" class="text_pole" min="0" step="50" />
+                        </div>
+                        <div class="redraft-form-group">
+                            <label for="redraft_auto_max_length">Max length</label>
+                            <input type="number" id="redraft_auto_max_length" class="text_pole" min="0" step="50" />
+                        </div>
+                    </div>
+                    <div class="redraft-form-group">
+                        <label for="redraft_auto_characters">Only these characters</label>
+                        <input type="text" id="redraft_auto_characters" class="text_pole"
+                            placeholder="Comma-separated names; empty = everyone" />
+                    </div>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="redraft_auto_skip_protected" />
+                        <span>Skip messages that are only protected blocks</span>
+                    </label>
+                    <label class="checkbox_label"
+                        title="When an auto-refine changes nothing, skip the next message, then try again">
+                        <input type="checkbox" id="redraft_auto_skip_unchanged" />
+                        <span>Skip next message after a run with no changes</span>
+                    </label>
+                </div>
+            </div>
+
+            <!-- Context Section -->
+            <div class="inline-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header">
+                    <span>Context</span>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                </div>
+                <div class="inline-drawer-content">
+                    <small class="redraft-section-hint">What the refinement LLM sees besides the message itself.
+                        Each source is cut to its token budget (0 = no limit).</small>
+                    <div id="redraft_context_sources" class="redraft-context-sources"></div>
+                    <div id="redraft_preview_prompt" class="menu_button">
+                        <i class="fa-solid fa-magnifying-glass"></i>
+                        <span>Preview Prompt</span>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Profiles Section -->
+            <div class="inline-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header">
+                    <span>Profiles</span>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                </div>
+                <div class="inline-drawer-content">
+                    <small class="redraft-section-hint">Save the current rules, PoV and system prompt as a named profile,
+                        then bind it to a character or chat. A chat binding wins over a character binding.</small>
+                    <div id="redraft_active_profile" class="redraft-active-profile"></div>
+                    <div class="redraft-profile-row">
+                        <select id="redraft_profile_select"></select>
+                        <div id="redraft_profile_new" class="menu_button menu_button_icon" title="New profile from current rules">
+                            <i class="fa-solid fa-plus"></i>
+                        </div>
+                        <div id="redraft_profile_update" class="menu_button menu_button_icon" title="Overwrite profile with current rules">
+                            <i class="fa-solid fa-floppy-disk"></i>
+                        </div>
+                        <div id="redraft_profile_load" class="menu_button menu_button_icon" title="Load profile into the rule editor">
+                            <i class="fa-solid fa-file-arrow-down"></i>
+                        </div>
+                        <div id="redraft_profile_delete" class="menu_button menu_button_icon" title="Delete profile">
+                            <i class="fa-solid fa-trash-can"></i>
+                        </div>
+                    </div>
+                    <div class="redraft-profile-row">
+                        <div id="redraft_profile_bind_char" class="menu_button" title="Use the selected profile for this character">
+                            <i class="fa-solid fa-user"></i>
+                            <span>Bind to Character</span>
+                        </div>
+                        <div id="redraft_profile_bind_chat" class="menu_button" title="Use the selected profile for this chat">
+                            <i class="fa-solid fa-comments"></i>
+                            <span>Bind to Chat</span>
+                        </div>
+                        <div id="redraft_profile_unbind" class="menu_button menu_button_icon" title="Clear bindings for this chat and character">
+                            <i class="fa-solid fa-link-slash"></i>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Statistics Section -->
+            <div class="inline-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header">
+                    <span>Statistics</span>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                </div>
+                <div class="inline-drawer-content">
+                    <small class="redraft-section-hint">How much ReDraft changes, which rules it cites and how often
+                        a refinement is undone.</small>
+                    <div class="redraft-profile-row">
+                        <select id="redraft_stats_scope">
+                            <option value="chat">This chat</option>
+                            <option value="all">All chats</option>
+                        </select>
+                        <div id="redraft_stats_export_csv" class="menu_button menu_button_icon" title="Export as CSV">
+                            <i class="fa-solid fa-file-csv"></i>
+                        </div>
+                        <div id="redraft_stats_export_json" class="menu_button menu_button_icon" title="Export as JSON">
+                            <i class="fa-solid fa-file-export"></i>
+                        </div>
+                        <div id="redraft_stats_clear" class="menu_button menu_button_icon" title="Delete the statistics shown">
+                            <i class="fa-solid fa-trash-can"></i>
+                        </div>
+                    </div>
+                    <div id="redraft_stats" class="redraft-stats"></div>
+                </div>
+            </div>
+
             <!-- Advanced Section -->
             <div class="inline-drawer">
                 <div class="inline-drawer-toggle inline-drawer-header">
@@ -1762,6 +6045,49 @@ function registerSlashCommand() {
                             <option value="3rd">3rd person (he/she/they)</option>
                         </select>
                     </div>
+                    <div class="redraft-form-group redraft-pov-group">
+                        <label for="redraft_candidate_count">Candidates per Refinement</label>
+                        <select id="redraft_candidate_count">
+                            <option value="1">1 (apply directly)</option>
+                            <option value="2">2 (pick one)</option>
+                            <option value="3">3 (pick one)</option>
+                            <option value="4">4 (pick one)</option>
+                        </select>
+                    </div>
+                    <div class="redraft-form-group">
+                        <label>Sampling</label>
+                        <small class="redraft-section-hint">Leave blank to use the connection's own settings.
+                            Rule profiles can override these.</small>
+                        <div class="redraft-form-row">
+                            <div class="redraft-form-group">
+                                <label for="redraft_sampling_temperature">Temperature</label>
+                                <input type="number" id="redraft_sampling_temperature" class="text_pole" min="0" max="2" step="0.05" />
+                            </div>
+                            <div class="redraft-form-group">
+                                <label for="redraft_sampling_top_p">Top P</label>
+                                <input type="number" id="redraft_sampling_top_p" class="text_pole" min="0" max="1" step="0.05" />
+                            </div>
+                        </div>
+                        <div class="redraft-form-row">
+                            <div class="redraft-form-group">
+                                <label for="redraft_sampling_frequency_penalty">Frequency penalty</label>
+                                <input type="number" id="redraft_sampling_frequency_penalty" class="text_pole" min="-2" max="2" step="0.1" />
+                            </div>
+                            <div class="redraft-form-group">
+                                <label for="redraft_sampling_presence_penalty">Presence penalty</label>
+                                <input type="number" id="redraft_sampling_presence_penalty" class="text_pole" min="-2" max="2" step="0.1" />
+                            </div>
+                        </div>
+                        <div class="redraft-form-group">
+                            <label for="redraft_sampling_max_tokens">Response token limit</label>
+                            <input type="number" id="redraft_sampling_max_tokens" class="text_pole" min="1" max="128000" step="256" />
+                        </div>
+                        <div class="redraft-form-group">
+                            <label for="redraft_sampling_stop">Stop sequences</label>
+                            <textarea id="redraft_sampling_stop" class="text_pole textarea_compact" rows="2"
+                                placeholder="One per line, up to 4"></textarea>
+                        </div>
+                    </div>
                     <div class="redraft-form-group">
                         <label for="redraft_system_prompt">System Prompt Override</label>
                         <textarea id="redraft_system_prompt" class="text_pole textarea_compact" rows="3"
@@ -1799,11 +6125,51 @@ function registerSlashCommand() {
                 <option value="3rd">3rd</option>
             </select>
         </div>
+        <div id="redraft_popout_plugin_profile_row" class="redraft-popout-pov" style="display: none;"
+            title="Connection profile for manual refines">
+            <small>Connection</small>
+            <select id="redraft_popout_plugin_profile"></select>
+        </div>
+        <div class="redraft-popout-pov" title="Override auto-refine for this chat only">
+            <small>This chat</small>
+            <select id="redraft_popout_chat_auto">
+                <option value="">Use global</option>
+                <option value="on">Auto on</option>
+                <option value="off">Auto off</option>
+            </select>
+        </div>
+        <div id="redraft_popout_profile" class="redraft-popout-status"></div>
         <div id="redraft_popout_status" class="redraft-popout-status"></div>
         <div id="redraft_popout_refine" class="menu_button">
             <i class="fa-solid fa-pen-nib"></i>
             <span>Refine Last Message</span>
         </div>
+        <div id="redraft_popout_cancel" class="menu_button" style="display: none;">
+            <i class="fa-solid fa-circle-stop"></i>
+            <span>Cancel Refinement</span>
+        </div>
+        <div id="redraft_batch_start" class="redraft-batch-start">
+            <div id="redraft_batch_all" class="menu_button" title="Refine every AI message in this chat">
+                <i class="fa-solid fa-layer-group"></i>
+                <span>Refine All</span>
+            </div>
+            <div id="redraft_batch_unrefined" class="menu_button" title="Refine AI messages that have not been refined yet">
+                <i class="fa-solid fa-list-check"></i>
+                <span>Unrefined</span>
+            </div>
+        </div>
+        <div id="redraft_batch_progress" class="redraft-batch-progress" style="display: none;">
+            <div class="redraft-batch-bar"><div class="redraft-batch-bar-fill"></div></div>
+            <div class="redraft-batch-row">
+                <span class="redraft-batch-status"></span>
+                <div id="redraft_batch_pause" class="menu_button menu_button_icon" title="Pause">
+                    <i class="fa-solid fa-pause"></i>
+                </div>
+                <div id="redraft_batch_cancel" class="menu_button menu_button_icon" title="Cancel batch">
+                    <i class="fa-solid fa-stop"></i>
+                </div>
+            </div>
+        </div>
         <div id="redraft_popout_open_settings" class="menu_button">
             <i class="fa-solid fa-gear"></i>
             <span>Full Settings</span>
@@ -1846,10 +6212,33 @@ function registerSlashCommand() {
     eventListenerRefs.messageRendered = () => onMessageRendered();
     eventListenerRefs.charMessageRendered = (idx) => onCharacterMessageRendered(idx);
     eventListenerRefs.chatChanged = () => onChatChanged();
+    eventListenerRefs.messageDeleted = () => onMessageDeleted();
+    eventListenerRefs.messageSwiped = () => onMessageSwiped();
+    eventListenerRefs.messageSent = (idx) => onMessageSent(idx);
+    eventListenerRefs.messageReceived = (idx, type) => onMessageReceived(idx, type);
+    eventListenerRefs.generationStarted = (type, options, dryRun) => onGenerationStarted(type, options, dryRun);
+    eventListenerRefs.generationStopped = () => onGenerationStopped();
+    eventListenerRefs.worldInfoActivated = (entries) => {
+        lastWorldInfoEntries = Array.isArray(entries) ? entries : [];
+    };
 
     eventSource.on(event_types.USER_MESSAGE_RENDERED, eventListenerRefs.messageRendered);
     eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, eventListenerRefs.charMessageRendered);
     eventSource.on(event_types.CHAT_CHANGED, eventListenerRefs.chatChanged);
+    eventSource.on(event_types.MESSAGE_DELETED, eventListenerRefs.messageDeleted);
+    eventSource.on(event_types.MESSAGE_SWIPED, eventListenerRefs.messageSwiped);
+    eventSource.on(event_types.MESSAGE_SENT, eventListenerRefs.messageSent);
+    eventSource.on(event_types.MESSAGE_RECEIVED, eventListenerRefs.messageReceived);
+    eventSource.on(event_types.GENERATION_STARTED, eventListenerRefs.generationStarted);
+    eventSource.on(event_types.GENERATION_STOPPED, eventListenerRefs.generationStopped);
+    if (event_types.WORLD_INFO_ACTIVATED) {
+        eventSource.on(event_types.WORLD_INFO_ACTIVATED, eventListenerRefs.worldInfoActivated);
+    }
+    // Sampling overrides for ReDraft's own generateRaw calls in ST mode
+    eventListenerRefs.completionSettingsReady = (data) => applySTSampling(data);
+    for (const type of ['CHAT_COMPLETION_SETTINGS_READY', 'TEXT_COMPLETION_SETTINGS_READY']) {
+        if (event_types[type]) eventSource.on(event_types[type], eventListenerRefs.completionSettingsReady);
+    }
 
     // Add buttons to any existing messages
     addMessageButtons();
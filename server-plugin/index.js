@@ -3,13 +3,56 @@ const fs = require('fs');
 
 const CONFIG_PATH = path.join(__dirname, 'config.json');
 const MODULE_NAME = 'redraft';
-const REQUEST_TIMEOUT_MS = 30000;
+const REQUEST_TIMEOUT_MS = 120000; // Non-streaming: whole request
+const STREAM_IDLE_TIMEOUT_MS = 30000; // Streaming: max silence between chunks
+const PROBE_TIMEOUT_MS = 15000; // /test and /models
+const DEFAULT_RETRIES = 2; // Extra attempts after a retryable upstream failure
+const MAX_RETRIES = 5;
+const RETRY_BASE_DELAY_MS = 1000; // Doubles with every retry
+const RETRY_MAX_DELAY_MS = 30000; // Cap for computed backoff
+const RETRY_MAX_WAIT_MS = 60000; // Longer Retry-After = give up now so the client can fall back
 const MAX_BODY_SIZE_BYTES = 512 * 1024; // 512 KB
+const MAX_CANDIDATES = 8;
+const DEFAULT_PROFILE_NAME = 'Default';
+const DEFAULT_TEMPERATURE = 0.3; // Low temp for consistent refinement
+const DEFAULT_MAX_TOKENS = 4096;
+// Allowed [min, max] for numeric sampling parameters
+const SAMPLING_LIMITS = {
+    temperature: [0, 2],
+    topP: [0, 1],
+    frequencyPenalty: [-2, 2],
+    presencePenalty: [-2, 2],
+    maxTokens: [1, 128000],
+};
+const MAX_STOP_SEQUENCES = 4;
+const MAX_STOP_SEQUENCE_LENGTH = 100;
+const MAX_PROFILE_NAME_LENGTH = 64;
 
 let cachedConfig = null;
 
 /**
- * Read and cache config from disk.
+ * Bring a config object into the profiles format:
+ * { defaultProfile: string|null, profiles: { [name]: { provider, apiUrl, apiKey, model, maxTokens } } }
+ * Legacy single-connection configs become a profile named "Default".
+ * @param {object} raw Parsed config.json
+ * @returns {{config: object, migrated: boolean}}
+ */
+function normalizeConfig(raw) {
+    if (raw && raw.profiles && typeof raw.profiles === 'object') {
+        return { config: { defaultProfile: raw.defaultProfile ?? null, profiles: raw.profiles }, migrated: false };
+    }
+    if (raw && raw.apiUrl) {
+        const { apiUrl, apiKey, model, maxTokens } = raw;
+        return {
+            config: { defaultProfile: DEFAULT_PROFILE_NAME, profiles: { [DEFAULT_PROFILE_NAME]: { apiUrl, apiKey, model, maxTokens } } },
+            migrated: true,
+        };
+    }
+    return { config: { defaultProfile: null, profiles: {} }, migrated: false };
+}
+
+/**
+ * Read and cache config from disk, migrating the legacy format in place.
  * @returns {object|null} The config object or null if not configured.
  */
 function readConfig() {
@@ -18,7 +61,12 @@ function readConfig() {
             return null;
         }
         const raw = fs.readFileSync(CONFIG_PATH, 'utf-8');
-        cachedConfig = JSON.parse(raw);
+        const { config, migrated } = normalizeConfig(JSON.parse(raw));
+        cachedConfig = config;
+        if (migrated) {
+            writeConfig(config);
+            console.log(`[${MODULE_NAME}] Migrated config to connection profiles`);
+        }
         return cachedConfig;
     } catch (err) {
         console.error(`[${MODULE_NAME}] Failed to read config:`, err.message);
@@ -26,6 +74,171 @@ function readConfig() {
     }
 }
 
+/**
+ * Write config to disk and update the cache.
+ * @param {object} config
+ */
+function writeConfig(config) {
+    fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2), 'utf-8');
+    cachedConfig = config;
+}
+
+/**
+ * Look up a connection profile by name, or the default profile if no name is given.
+ * @param {object|null} config
+ * @param {string} [name]
+ * @returns {{name: string, profile: object}|null}
+ */
+function getProfile(config, name) {
+    const key = name || config?.defaultProfile;
+    return hasProfile(config, key) ? { name: key, profile: config.profiles[key] } : null;
+}
+
+/**
+ * Whether a profile with this name exists. Names are user input, so inherited
+ * keys like "constructor" must not count as profiles.
+ * @param {object|null} config
+ * @param {string} [name]
+ * @returns {boolean}
+ */
+function hasProfile(config, name) {
+    return !!name && !!config?.profiles && Object.hasOwn(config.profiles, name) && !!config.profiles[name];
+}
+
+/**
+ * Whether a profile has what it needs to make requests.
+ * @param {object|null} profile
+ * @returns {boolean}
+ */
+function isProfileConfigured(profile) {
+    if (!profile || !profile.apiUrl) return false;
+    return !getProvider(profile).requiresKey || !!profile.apiKey;
+}
+
+/**
+ * Describe a profile without its secret.
+ * @param {string} name
+ * @param {object} profile
+ * @param {object} config
+ * @returns {object}
+ */
+function summarizeProfile(name, profile, config) {
+    return {
+        name,
+        provider: getProviderName(profile),
+        apiUrl: profile.apiUrl || null,
+        model: profile.model || null,
+        maxTokens: profile.maxTokens || DEFAULT_MAX_TOKENS,
+        sampling: profile.sampling || {},
+        maskedKey: profile.apiKey ? maskKey(profile.apiKey) : null,
+        isDefault: config.defaultProfile === name,
+    };
+}
+
+/**
+ * Validate a profile name from a route parameter or body.
+ * @param {unknown} name
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateProfileName(name) {
+    if (typeof name !== 'string' || !name.trim()) return 'Profile name must be a non-empty string';
+    if (name.length > MAX_PROFILE_NAME_LENGTH) return `Profile name must be at most ${MAX_PROFILE_NAME_LENGTH} characters`;
+    // Assigning this key replaces the profiles object's prototype instead of adding a profile
+    if (name === '__proto__') return 'Profile name "__proto__" is reserved';
+    return null;
+}
+
+/**
+ * Validate sampling parameters. Unset values (undefined, null, '') are dropped.
+ * @param {object} raw { temperature?, topP?, frequencyPenalty?, presencePenalty?, maxTokens?, stop? }
+ * @returns {{error: string}|{sampling: object}}
+ */
+function validateSampling(raw) {
+    if (raw === undefined || raw === null) return { sampling: {} };
+    if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'sampling must be an object' };
+
+    const sampling = {};
+    for (const [key, [min, max]] of Object.entries(SAMPLING_LIMITS)) {
+        const value = raw[key];
+        if (value === undefined || value === null || value === '') continue;
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < min || number > max) {
+            return { error: `${key} must be a number between ${min} and ${max}` };
+        }
+        if (key === 'maxTokens' && !Number.isInteger(number)) {
+            return { error: 'maxTokens must be an integer' };
+        }
+        sampling[key] = number;
+    }
+
+    if (raw.stop !== undefined && raw.stop !== null) {
+        const stop = Array.isArray(raw.stop) ? raw.stop : [raw.stop];
+        if (stop.length > MAX_STOP_SEQUENCES) {
+            return { error: `At most ${MAX_STOP_SEQUENCES} stop sequences are allowed` };
+        }
+        if (stop.some(seq => typeof seq !== 'string' || !seq || seq.length > MAX_STOP_SEQUENCE_LENGTH)) {
+            return { error: `Stop sequences must be non-empty strings of at most ${MAX_STOP_SEQUENCE_LENGTH} characters` };
+        }
+        if (stop.length > 0) sampling.stop = stop;
+    }
+
+    return { sampling };
+}
+
+/**
+ * Validate connection fields and build a profile. When updating, a missing
+ * apiKey keeps the existing one so the UI never has to echo the secret back.
+ * @param {object} body { provider?, apiUrl, apiKey?, model, maxTokens?, sampling? }
+ *   (sampling: default temperature/topP/penalties/stop for this connection;
+ *   omitted when updating = keep the saved values)
+ * @param {object|null} existing Profile being updated, if any
+ * @param {{requireModel?: boolean}} [options] requireModel: false when listing models,
+ *   which is how a model gets picked in the first place
+ * @returns {{error: string}|{profile: object}}
+ */
+function buildProfile(body, existing, { requireModel = true } = {}) {
+    const { apiUrl, apiKey, model, maxTokens } = body || {};
+    const provider = body?.provider || existing?.provider || 'openai';
+
+    if (!PROVIDERS[provider]) {
+        return { error: `provider must be one of: ${Object.keys(PROVIDERS).join(', ')}` };
+    }
+    if (!apiUrl || typeof apiUrl !== 'string' || !apiUrl.trim()) {
+        return { error: 'apiUrl is required and must be a non-empty string' };
+    }
+    if (apiKey !== undefined && apiKey !== '' && typeof apiKey !== 'string') {
+        return { error: 'apiKey must be a string' };
+    }
+    const keepKey = !apiKey && existing?.apiKey;
+    if (!keepKey && PROVIDERS[provider].requiresKey && (!apiKey || !apiKey.trim())) {
+        return { error: 'apiKey is required and must be a non-empty string' };
+    }
+    if (model !== undefined && typeof model !== 'string') {
+        return { error: 'model must be a string' };
+    }
+    if (requireModel && (!model || !model.trim())) {
+        return { error: 'model is required and must be a non-empty string' };
+    }
+
+    const limits = validateSampling({ maxTokens });
+    if (limits.error) return limits;
+    const checked = validateSampling(body?.sampling === undefined ? existing?.sampling : body.sampling);
+    if (checked.error) return checked;
+    const sampling = checked.sampling;
+    delete sampling.maxTokens; // The token limit lives at the top level of a profile
+
+    return {
+        profile: {
+            provider,
+            apiUrl: apiUrl.trim().replace(/\/+$/, ''), // Strip trailing slashes
+            apiKey: keepKey ? existing.apiKey : (apiKey || '').trim(),
+            model: (model || '').trim(),
+            maxTokens: limits.sampling.maxTokens || DEFAULT_MAX_TOKENS,
+            sampling,
+        },
+    };
+}
+
 /**
  * Mask an API key for safe display.
  * @param {string} key
@@ -42,13 +255,447 @@ function maskKey(key) {
  * @returns {string}
  */
 function sanitizeError(message) {
-    const config = cachedConfig;
-    if (config && config.apiKey && message.includes(config.apiKey)) {
-        message = message.replace(new RegExp(config.apiKey.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), '[REDACTED]');
+    const profiles = Object.values(cachedConfig?.profiles || {});
+    for (const { apiKey } of profiles) {
+        if (apiKey && message.includes(apiKey)) {
+            message = message.replace(new RegExp(apiKey.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), '[REDACTED]');
+        }
     }
     return message;
 }
 
+/**
+ * Write one server-sent event to the client.
+ * @param {import('express').Response} res
+ * @param {object} payload
+ */
+function sendEvent(res, payload) {
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * Split chat messages into a system prompt and the remaining turns.
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {{system: string, turns: Array<{role: string, content: string}>}}
+ */
+function splitSystem(messages) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const turns = messages.filter(m => m.role !== 'system');
+    return { system, turns };
+}
+
+/**
+ * Copy an object without its undefined values, so unset parameters stay out of request bodies.
+ * @param {object} obj
+ * @returns {object}
+ */
+function withDefined(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Provider adapters. Each one knows its endpoint, auth header, request shape
+ * and how to read both full responses and stream chunks.
+ *
+ * buildRequest(profile, { messages, stream, n, sampling }) → { url, headers, body }
+ *   sampling: { temperature, maxTokens, topP?, frequencyPenalty?, presencePenalty?, stop? };
+ *   parameters a provider has no equivalent for are left out
+ * parseResponse(data) → string[] (one entry per returned choice)
+ * parseStreamChunk(chunk) → string delta; throws on an in-stream error
+ * buildModelsRequest(profile) → { url, headers } for listing available models (GET)
+ * parseModels(data) → string[] of model ids usable as a profile's `model`
+ * streamFormat: 'sse' (data: lines) or 'ndjson' (one JSON object per line)
+ * requiresKey: whether a profile for this provider needs an apiKey
+ */
+const PROVIDERS = {
+    openai: {
+        label: 'OpenAI-compatible',
+        requiresKey: true,
+        streamFormat: 'sse',
+        buildRequest(profile, { messages, stream, n, sampling }) {
+            const body = withDefined({
+                model: profile.model,
+                messages,
+                max_tokens: sampling.maxTokens,
+                temperature: sampling.temperature,
+                top_p: sampling.topP,
+                frequency_penalty: sampling.frequencyPenalty,
+                presence_penalty: sampling.presencePenalty,
+                stop: sampling.stop,
+                stream,
+            });
+            if (n > 1) body.n = n;
+            return {
+                url: `${profile.apiUrl}/chat/completions`,
+                headers: { 'Authorization': `Bearer ${profile.apiKey}` },
+                body,
+            };
+        },
+        parseResponse(data) {
+            return (Array.isArray(data?.choices) ? data.choices : []).map(choice => choice?.message?.content);
+        },
+        parseStreamChunk(chunk) {
+            return chunk?.choices?.[0]?.delta?.content || '';
+        },
+        buildModelsRequest(profile) {
+            return { url: `${profile.apiUrl}/models`, headers: { 'Authorization': `Bearer ${profile.apiKey}` } };
+        },
+        parseModels(data) {
+            return (Array.isArray(data?.data) ? data.data : []).map(model => model?.id);
+        },
+    },
+
+    anthropic: {
+        label: 'Anthropic Messages',
+        requiresKey: true,
+        streamFormat: 'sse',
+        buildRequest(profile, { messages, stream, sampling }) {
+            const { system, turns } = splitSystem(messages);
+            const body = withDefined({
+                model: profile.model,
+                messages: turns,
+                max_tokens: sampling.maxTokens,
+                temperature: sampling.temperature,
+                top_p: sampling.topP,
+                stop_sequences: sampling.stop,
+                stream,
+            });
+            if (system) body.system = system;
+            return {
+                url: `${profile.apiUrl}/messages`,
+                headers: { 'x-api-key': profile.apiKey, 'anthropic-version': '2023-06-01' },
+                body,
+            };
+        },
+        parseResponse(data) {
+            const text = (Array.isArray(data?.content) ? data.content : [])
+                .filter(block => block?.type === 'text')
+                .map(block => block.text)
+                .join('');
+            return [text];
+        },
+        parseStreamChunk(chunk) {
+            if (chunk?.type === 'error') throw new Error(chunk.error?.message || 'Anthropic stream error');
+            return chunk?.type === 'content_block_delta' && chunk.delta?.type === 'text_delta' ? chunk.delta.text : '';
+        },
+        buildModelsRequest(profile) {
+            return {
+                url: `${profile.apiUrl}/models?limit=1000`,
+                headers: { 'x-api-key': profile.apiKey, 'anthropic-version': '2023-06-01' },
+            };
+        },
+        parseModels(data) {
+            return (Array.isArray(data?.data) ? data.data : []).map(model => model?.id);
+        },
+    },
+
+    gemini: {
+        label: 'Google Gemini',
+        requiresKey: true,
+        streamFormat: 'sse',
+        buildRequest(profile, { messages, stream, n, sampling }) {
+            const { system, turns } = splitSystem(messages);
+            const body = {
+                contents: turns.map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
+                generationConfig: withDefined({
+                    maxOutputTokens: sampling.maxTokens,
+                    temperature: sampling.temperature,
+                    topP: sampling.topP,
+                    frequencyPenalty: sampling.frequencyPenalty,
+                    presencePenalty: sampling.presencePenalty,
+                    stopSequences: sampling.stop,
+                }),
+            };
+            if (system) body.systemInstruction = { parts: [{ text: system }] };
+            if (n > 1) body.generationConfig.candidateCount = n;
+            const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+            return {
+                url: `${profile.apiUrl}/models/${encodeURIComponent(profile.model)}:${method}`,
+                headers: { 'x-goog-api-key': profile.apiKey },
+                body,
+            };
+        },
+        parseResponse(data) {
+            return (Array.isArray(data?.candidates) ? data.candidates : [])
+                .map(candidate => (candidate?.content?.parts || []).map(part => part?.text || '').join(''));
+        },
+        parseStreamChunk(chunk) {
+            if (chunk?.error) throw new Error(chunk.error.message || 'Gemini stream error');
+            return (chunk?.candidates?.[0]?.content?.parts || []).map(part => part?.text || '').join('');
+        },
+        buildModelsRequest(profile) {
+            return { url: `${profile.apiUrl}/models?pageSize=1000`, headers: { 'x-goog-api-key': profile.apiKey } };
+        },
+        parseModels(data) {
+            // Embedding-only models can't refine; names come back as "models/<id>"
+            return (Array.isArray(data?.models) ? data.models : [])
+                .filter(model => !model?.supportedGenerationMethods || model.supportedGenerationMethods.includes('generateContent'))
+                .map(model => String(model?.name || '').replace(/^models\//, ''));
+        },
+    },
+
+    ollama: {
+        label: 'Ollama',
+        requiresKey: false,
+        streamFormat: 'ndjson',
+        buildRequest(profile, { messages, stream, sampling }) {
+            const options = withDefined({
+                num_predict: sampling.maxTokens,
+                temperature: sampling.temperature,
+                top_p: sampling.topP,
+                frequency_penalty: sampling.frequencyPenalty,
+                presence_penalty: sampling.presencePenalty,
+                stop: sampling.stop,
+            });
+            return {
+                url: `${profile.apiUrl}/api/chat`,
+                headers: profile.apiKey ? { 'Authorization': `Bearer ${profile.apiKey}` } : {},
+                body: { model: profile.model, messages, stream, options },
+            };
+        },
+        parseResponse(data) {
+            return [data?.message?.content];
+        },
+        parseStreamChunk(chunk) {
+            if (chunk?.error) throw new Error(chunk.error);
+            return chunk?.message?.content || '';
+        },
+        buildModelsRequest(profile) {
+            return {
+                url: `${profile.apiUrl}/api/tags`,
+                headers: profile.apiKey ? { 'Authorization': `Bearer ${profile.apiKey}` } : {},
+            };
+        },
+        parseModels(data) {
+            return (Array.isArray(data?.models) ? data.models : []).map(model => model?.name);
+        },
+    },
+
+    kobold: {
+        label: 'KoboldCpp (text completion)',
+        requiresKey: false,
+        streamFormat: 'sse',
+        buildRequest(profile, { messages, stream, sampling }) {
+            // Text completion has no roles — flatten the chat into a plain prompt
+            const { system, turns } = splitSystem(messages);
+            const prompt = [system, ...turns.map(m => m.content)].filter(Boolean).join('\n\n') + '\n\n';
+            return {
+                url: `${profile.apiUrl}${stream ? '/api/extra/generate/stream' : '/api/v1/generate'}`,
+                headers: profile.apiKey ? { 'Authorization': `Bearer ${profile.apiKey}` } : {},
+                body: withDefined({
+                    prompt,
+                    max_length: sampling.maxTokens,
+                    temperature: sampling.temperature,
+                    top_p: sampling.topP,
+                    stop_sequence: sampling.stop,
+                }),
+            };
+        },
+        parseResponse(data) {
+            return (Array.isArray(data?.results) ? data.results : []).map(result => result?.text);
+        },
+        parseStreamChunk(chunk) {
+            return chunk?.token || '';
+        },
+        buildModelsRequest(profile) {
+            return {
+                url: `${profile.apiUrl}/api/v1/model`,
+                headers: profile.apiKey ? { 'Authorization': `Bearer ${profile.apiKey}` } : {},
+            };
+        },
+        parseModels(data) {
+            // KoboldCpp serves whichever model it was started with
+            return [data?.result];
+        },
+    },
+};
+
+/**
+ * Name of a profile's provider. Profiles saved before adapters existed are OpenAI-compatible.
+ * @param {object} profile
+ * @returns {string}
+ */
+function getProviderName(profile) {
+    return PROVIDERS[profile?.provider] ? profile.provider : 'openai';
+}
+
+/**
+ * Resolve a profile's adapter.
+ * @param {object} profile
+ * @returns {object}
+ */
+function getProvider(profile) {
+    return PROVIDERS[getProviderName(profile)];
+}
+
+/**
+ * Resolve the connection a /test or /models call is about. With connection
+ * fields in the body, those (unsaved) values are used, falling back to the
+ * saved profile's key only if the URL is the one it is saved with (a saved key
+ * is never sent to a URL the user didn't pair it with, even when the profile is
+ * named); otherwise the saved profile itself.
+ * @param {object} body { profile?, provider?, apiUrl?, apiKey?, model? }
+ * @param {{requireModel?: boolean}} [options]
+ * @returns {{status: number, error: string}|{profile: object}}
+ */
+function resolveConnection(body, { requireModel = true } = {}) {
+    const profileName = body?.profile || undefined;
+    if (profileName !== undefined && typeof profileName !== 'string') {
+        return { status: 400, error: 'profile must be a string' };
+    }
+
+    const found = getProfile(readConfig(), profileName);
+    if (body?.apiUrl) {
+        const savedUrl = found?.profile.apiUrl;
+        const sameUrl = !!savedUrl && typeof body.apiUrl === 'string'
+            && body.apiUrl.trim().replace(/\/+$/, '') === savedUrl;
+        // Without a key to reuse, buildProfile requires body.apiKey
+        const keySource = sameUrl ? found.profile : null;
+        const result = buildProfile(body, keySource, { requireModel });
+        return result.error ? { status: 400, error: result.error } : { profile: result.profile };
+    }
+
+    if (profileName && !found) {
+        return { status: 404, error: `Connection profile "${profileName}" not found` };
+    }
+    if (!found || !isProfileConfigured(found.profile)) {
+        return { status: 503, error: 'ReDraft is not configured. Please set up API credentials.' };
+    }
+    return { profile: found.profile };
+}
+
+/**
+ * Classify a failed upstream call so the UI can say what to fix.
+ * @param {{status?: number, body?: string, err?: Error}} failure HTTP status and
+ *   body of an error response, or the error fetch threw
+ * @returns {{errorType: 'auth'|'model'|'not_found'|'unreachable'|'timeout'|'upstream', error: string}}
+ */
+function classifyUpstreamError({ status, body, err }) {
+    if (err) {
+        if (err.name === 'AbortError' || err.name === 'TimeoutError') {
+            return { errorType: 'timeout', error: `No response within ${PROBE_TIMEOUT_MS / 1000}s` };
+        }
+        // fetch wraps DNS/connection/TLS failures as TypeError('fetch failed') with the real cause attached
+        const cause = err.cause?.code || err.cause?.message || err.message;
+        return { errorType: 'unreachable', error: `Could not reach the API URL (${sanitizeError(String(cause))})` };
+    }
+
+    const detail = sanitizeError(body || '').slice(0, 200);
+    if (status === 401 || status === 403) {
+        return { errorType: 'auth', error: `Authentication failed (${status}): ${detail}` };
+    }
+    if ((status === 404 || status === 400) && /model/i.test(body || '')) {
+        return { errorType: 'model', error: `Model not available (${status}): ${detail}` };
+    }
+    if (status === 404) {
+        return { errorType: 'not_found', error: `Endpoint not found (404) — check the API URL: ${detail}` };
+    }
+    return { errorType: 'upstream', error: `LLM API returned ${status}: ${detail}` };
+}
+
+/**
+ * Make a short upstream call for /test or /models.
+ * @param {{url: string, headers: object, body?: object}} request GET when there's no body
+ * @returns {Promise<{data?: any, failure?: object, latencyMs: number}>} failure is
+ *   classifyUpstreamError() input
+ */
+async function probeUpstream(request) {
+    const started = Date.now();
+    try {
+        const response = await fetch(request.url, {
+            method: request.body ? 'POST' : 'GET',
+            headers: request.body ? { 'Content-Type': 'application/json', ...request.headers } : request.headers,
+            body: request.body ? JSON.stringify(request.body) : undefined,
+            signal: AbortSignal.timeout(PROBE_TIMEOUT_MS),
+        });
+        if (!response.ok) {
+            return { failure: { status: response.status, body: await response.text() }, latencyMs: Date.now() - started };
+        }
+        return { data: await response.json(), latencyMs: Date.now() - started };
+    } catch (err) {
+        return { failure: { err }, latencyMs: Date.now() - started };
+    }
+}
+
+/**
+ * Whether an upstream HTTP failure is worth retrying (rate limits, timeouts, server errors).
+ * @param {number} status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Delay before the next attempt: the upstream's Retry-After when it sent one,
+ * otherwise exponential backoff with jitter.
+ * @param {number} retry 0 for the first retry
+ * @param {string|null} retryAfter Retry-After header (seconds or an HTTP date)
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(retry, retryAfter) {
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+        if (Number.isFinite(ms)) return Math.max(0, ms);
+    }
+    const backoff = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** retry);
+    return Math.round(backoff * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Relay an upstream streamed completion to the client as normalized { delta } events.
+ * @param {Response} upstream Fetch response with an SSE or NDJSON body
+ * @param {import('express').Response} res
+ * @param {() => void} onActivity Called on every received chunk (resets the idle timeout)
+ * @param {object} provider Adapter from PROVIDERS (stream format and chunk parsing)
+ * @returns {Promise<string>} The full concatenated text
+ */
+async function relayStream(upstream, res, onActivity, provider) {
+    const reader = upstream.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    let finished = false;
+    while (!finished) {
+        const { done, value } = await reader.read();
+        finished = done;
+        if (!done) onActivity();
+
+        buffer += decoder.decode(value, { stream: !done });
+        const lines = buffer.split('\n');
+        // Keep a partial last line for the next read; at the end, parse whatever is left
+        buffer = done ? '' : lines.pop();
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            let data;
+            if (provider.streamFormat === 'ndjson') {
+                data = trimmed;
+            } else {
+                if (!trimmed.startsWith('data:')) continue;
+                data = trimmed.slice(5).trim();
+            }
+            if (!data || data === '[DONE]') continue;
+
+            let chunk;
+            try {
+                chunk = JSON.parse(data);
+            } catch {
+                continue; // Skip keep-alives and partial garbage
+            }
+            const delta = provider.parseStreamChunk(chunk);
+            if (delta) {
+                text += delta;
+                sendEvent(res, { delta });
+            }
+        }
+    }
+
+    return text;
+}
+
 /**
  * Initialize the ReDraft server plugin.
  * @param {import('express').Router} router
@@ -68,32 +715,27 @@ async function init(router) {
 
     /**
      * POST /config — Save API credentials to disk.
-     * Accepts: { apiUrl, apiKey, model, maxTokens? }
+     * Accepts: { provider?, apiUrl, apiKey, model, maxTokens?, profile? }
+     * Writes to the named profile (default: the default profile, created as
+     * "Default" if there is none). Kept for clients that predate profiles.
      */
     router.post('/config', (req, res) => {
         try {
-            const { apiUrl, apiKey, model, maxTokens } = req.body;
-
-            // Validate required fields
-            if (!apiUrl || typeof apiUrl !== 'string' || !apiUrl.trim()) {
-                return res.status(400).json({ error: 'apiUrl is required and must be a non-empty string' });
-            }
-            if (!apiKey || typeof apiKey !== 'string' || !apiKey.trim()) {
-                return res.status(400).json({ error: 'apiKey is required and must be a non-empty string' });
-            }
-            if (!model || typeof model !== 'string' || !model.trim()) {
-                return res.status(400).json({ error: 'model is required and must be a non-empty string' });
+            const config = readConfig() || { defaultProfile: null, profiles: {} };
+            const name = req.body.profile || config.defaultProfile || DEFAULT_PROFILE_NAME;
+            const nameError = validateProfileName(name);
+            if (nameError) {
+                return res.status(400).json({ error: nameError });
             }
 
-            const config = {
-                apiUrl: apiUrl.trim().replace(/\/+$/, ''), // Strip trailing slashes
-                apiKey: apiKey.trim(),
-                model: model.trim(),
-                maxTokens: Number(maxTokens) || 4096,
-            };
+            const result = buildProfile(req.body, null);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
 
-            fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2), 'utf-8');
-            cachedConfig = config;
+            config.profiles[name] = result.profile;
+            if (!config.defaultProfile) config.defaultProfile = name;
+            writeConfig(config);
 
             console.log(`[${MODULE_NAME}] Config saved successfully`);
             return res.json({ ok: true });
@@ -104,33 +746,208 @@ async function init(router) {
     });
 
     /**
-     * GET /status — Return plugin status (no secrets exposed).
+     * GET /status — Return plugin status for the default profile (no secrets exposed).
      */
     router.get('/status', (req, res) => {
         const config = readConfig();
-        if (!config || !config.apiKey || !config.apiUrl) {
+        const found = getProfile(config);
+        const profiles = Object.keys(config?.profiles || {});
+        if (!found || !isProfileConfigured(found.profile)) {
             return res.json({
                 configured: false,
                 apiUrl: null,
                 model: null,
                 maskedKey: null,
+                defaultProfile: config?.defaultProfile || null,
+                profiles,
             });
         }
 
         return res.json({
             configured: true,
-            apiUrl: config.apiUrl,
-            model: config.model || null,
-            maskedKey: maskKey(config.apiKey),
+            provider: getProviderName(found.profile),
+            apiUrl: found.profile.apiUrl,
+            model: found.profile.model || null,
+            maskedKey: found.profile.apiKey ? maskKey(found.profile.apiKey) : null,
+            defaultProfile: found.name,
+            profiles,
         });
     });
 
+    /**
+     * GET /profiles — List connection profiles (no secrets exposed).
+     * Returns: { defaultProfile, profiles: [{ name, apiUrl, model, maxTokens, maskedKey, isDefault }] }
+     */
+    router.get('/profiles', (req, res) => {
+        const config = readConfig() || { defaultProfile: null, profiles: {} };
+        return res.json({
+            defaultProfile: config.defaultProfile,
+            profiles: Object.entries(config.profiles).map(([name, profile]) => summarizeProfile(name, profile, config)),
+        });
+    });
+
+    /**
+     * PUT /profiles/:name — Create or update a connection profile.
+     * Accepts: { provider?, apiUrl, apiKey?, model, maxTokens? } (apiKey may be omitted when
+     *          updating, and for providers that don't need one; provider defaults to 'openai')
+     */
+    router.put('/profiles/:name', (req, res) => {
+        try {
+            const { name } = req.params;
+            const nameError = validateProfileName(name);
+            if (nameError) {
+                return res.status(400).json({ error: nameError });
+            }
+
+            const config = readConfig() || { defaultProfile: null, profiles: {} };
+            const result = buildProfile(req.body, hasProfile(config, name) ? config.profiles[name] : null);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+
+            config.profiles[name] = result.profile;
+            if (!config.defaultProfile) config.defaultProfile = name;
+            writeConfig(config);
+
+            console.log(`[${MODULE_NAME}] Profile "${name}" saved`);
+            return res.json({ ok: true, profile: summarizeProfile(name, result.profile, config) });
+        } catch (err) {
+            console.error(`[${MODULE_NAME}] Error saving profile:`, err.message);
+            return res.status(500).json({ error: 'Failed to save profile' });
+        }
+    });
+
+    /**
+     * DELETE /profiles/:name — Remove a connection profile. If it was the
+     * default, the first remaining profile becomes the default.
+     */
+    router.delete('/profiles/:name', (req, res) => {
+        try {
+            const { name } = req.params;
+            const config = readConfig();
+            if (!hasProfile(config, name)) {
+                return res.status(404).json({ error: `Profile "${name}" not found` });
+            }
+
+            delete config.profiles[name];
+            if (config.defaultProfile === name) {
+                config.defaultProfile = Object.keys(config.profiles)[0] || null;
+            }
+            writeConfig(config);
+
+            console.log(`[${MODULE_NAME}] Profile "${name}" deleted`);
+            return res.json({ ok: true, defaultProfile: config.defaultProfile });
+        } catch (err) {
+            console.error(`[${MODULE_NAME}] Error deleting profile:`, err.message);
+            return res.status(500).json({ error: 'Failed to delete profile' });
+        }
+    });
+
+    /**
+     * POST /profiles/:name/default — Make a profile the default for requests without `profile`.
+     */
+    router.post('/profiles/:name/default', (req, res) => {
+        try {
+            const { name } = req.params;
+            const config = readConfig();
+            if (!hasProfile(config, name)) {
+                return res.status(404).json({ error: `Profile "${name}" not found` });
+            }
+
+            config.defaultProfile = name;
+            writeConfig(config);
+            return res.json({ ok: true });
+        } catch (err) {
+            console.error(`[${MODULE_NAME}] Error setting default profile:`, err.message);
+            return res.status(500).json({ error: 'Failed to set default profile' });
+        }
+    });
+
+    /**
+     * POST /test — Check a connection with a tiny completion round-trip.
+     * Accepts: { profile?, provider?, apiUrl?, apiKey?, model? } (connection fields
+     *          test unsaved values; otherwise the named or default profile is tested)
+     * Returns: { ok: true, latencyMs, model, reply } or
+     *          { ok: false, latencyMs, errorType, error, status? } where errorType is
+     *          auth | model | not_found | unreachable | timeout | upstream | bad_response
+     */
+    router.post('/test', async (req, res) => {
+        try {
+            const target = resolveConnection(req.body);
+            if (target.error) {
+                return res.status(target.status).json({ error: target.error });
+            }
+
+            const { profile } = target;
+            const request = getProvider(profile).buildRequest(profile, {
+                messages: [{ role: 'user', content: 'Reply with the single word: OK' }],
+                stream: false,
+                n: 1,
+                sampling: { temperature: 0, maxTokens: 8 },
+            });
+            const { data, failure, latencyMs } = await probeUpstream(request);
+            if (failure) {
+                const { errorType, error } = classifyUpstreamError(failure);
+                console.warn(`[${MODULE_NAME}] Connection test failed (${errorType}):`, error);
+                return res.json({ ok: false, latencyMs, errorType, error, status: failure.status });
+            }
+
+            const reply = getProvider(profile).parseResponse(data).find(text => typeof text === 'string');
+            if (reply === undefined) {
+                return res.json({ ok: false, latencyMs, errorType: 'bad_response', error: 'The API answered in an unexpected format — check the provider' });
+            }
+            return res.json({ ok: true, latencyMs, model: profile.model, reply: reply.trim().slice(0, 100) });
+        } catch (err) {
+            console.error(`[${MODULE_NAME}] Connection test error:`, sanitizeError(err.message));
+            return res.status(500).json({ error: 'Internal error during connection test' });
+        }
+    });
+
+    /**
+     * POST /models — List the models the upstream offers.
+     * POST rather than GET so an unsaved key travels in the body, not the URL.
+     * Accepts: { profile?, provider?, apiUrl?, apiKey? } (as for /test; no model needed)
+     * Returns: { models: string[] }, or 502 with { error, errorType }
+     */
+    router.post('/models', async (req, res) => {
+        try {
+            const target = resolveConnection(req.body, { requireModel: false });
+            if (target.error) {
+                return res.status(target.status).json({ error: target.error });
+            }
+
+            const provider = getProvider(target.profile);
+            const { data, failure } = await probeUpstream(provider.buildModelsRequest(target.profile));
+            if (failure) {
+                const { errorType, error } = classifyUpstreamError(failure);
+                return res.status(502).json({ error, errorType });
+            }
+
+            const models = [...new Set(provider.parseModels(data).filter(id => typeof id === 'string' && id))].sort();
+            return res.json({ models });
+        } catch (err) {
+            console.error(`[${MODULE_NAME}] Model listing error:`, sanitizeError(err.message));
+            return res.status(500).json({ error: 'Internal error while listing models' });
+        }
+    });
+
     /**
      * POST /refine — Proxy refinement request to configured LLM.
-     * Accepts: { messages: [{role, content}] }
-     * Returns: { text: string }
+     * Accepts: { messages: [{role, content}], stream?, n?, profile?, sampling?, retries? }
+     *          (profile names a connection profile; omitted = the default profile.
+     *          sampling overrides the profile's temperature/topP/penalties/stop/maxTokens.
+     *          retries: extra attempts after a 408/429/5xx, network error or timeout)
+     * Returns: { text: string, texts: string[], attempts } (texts has one entry per
+     *          returned choice when n > 1), or with stream=true an SSE stream
+     *          of { delta } events ending in { done: true, attempts } or { error, attempts }.
+     *          Errors from the LLM are { error, attempts }. attempts lists the failed
+     *          attempts: [{ status, error, retryInMs }] (status null = no HTTP response).
+     *          Retries only happen before any output has been streamed.
      */
     router.post('/refine', async (req, res) => {
+        let timeout = null;
+        let clientGone = false;
+        const attempts = []; // Failed upstream attempts, reported with the result either way
         try {
             // Check body size
             const bodySize = JSON.stringify(req.body).length;
@@ -140,9 +957,17 @@ async function init(router) {
 
             // Validate messages
             const { messages } = req.body;
+            const stream = req.body.stream === true;
+            const n = req.body.n === undefined ? 1 : Number(req.body.n);
             if (!Array.isArray(messages) || messages.length === 0) {
                 return res.status(400).json({ error: 'messages must be a non-empty array' });
             }
+            if (!Number.isInteger(n) || n < 1 || n > MAX_CANDIDATES) {
+                return res.status(400).json({ error: `n must be an integer between 1 and ${MAX_CANDIDATES}` });
+            }
+            if (stream && n > 1) {
+                return res.status(400).json({ error: 'Multiple candidates (n > 1) cannot be streamed' });
+            }
 
             for (const msg of messages) {
                 if (!msg.role || typeof msg.role !== 'string') {
@@ -153,63 +978,183 @@ async function init(router) {
                 }
             }
 
+            const retries = req.body.retries === undefined ? DEFAULT_RETRIES : Number(req.body.retries);
+            if (!Number.isInteger(retries) || retries < 0 || retries > MAX_RETRIES) {
+                return res.status(400).json({ error: `retries must be an integer between 0 and ${MAX_RETRIES}` });
+            }
+
+            const requestSampling = validateSampling(req.body.sampling);
+            if (requestSampling.error) {
+                return res.status(400).json({ error: requestSampling.error });
+            }
+
+            const profileName = req.body.profile || undefined;
+            if (profileName !== undefined && typeof profileName !== 'string') {
+                return res.status(400).json({ error: 'profile must be a string' });
+            }
+
             // Read config
-            const config = readConfig();
-            if (!config || !config.apiKey || !config.apiUrl) {
+            const found = getProfile(readConfig(), profileName);
+            if (profileName && !found) {
+                return res.status(404).json({ error: `Connection profile "${profileName}" not found` });
+            }
+            if (!found || !isProfileConfigured(found.profile)) {
                 return res.status(503).json({ error: 'ReDraft is not configured. Please set up API credentials.' });
             }
+            const config = found.profile;
 
-            // Build request to LLM
-            const endpoint = `${config.apiUrl}/chat/completions`;
-            const payload = {
-                model: config.model,
-                messages: messages,
-                max_tokens: config.maxTokens || 4096,
-                temperature: 0.3, // Low temp for consistent refinement
-            };
+            // Build request to LLM in the profile's provider format
+            const provider = getProvider(config);
+            const request = provider.buildRequest(config, {
+                messages,
+                stream,
+                n,
+                // Request overrides > profile defaults > built-in defaults
+                sampling: {
+                    temperature: DEFAULT_TEMPERATURE,
+                    maxTokens: config.maxTokens || DEFAULT_MAX_TOKENS,
+                    ...config.sampling,
+                    ...requestSampling.sampling,
+                },
+            });
 
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+            let controller = null;
+            let timedOut = false;
+            const armTimeout = (ms) => {
+                clearTimeout(timeout);
+                timeout = setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                }, ms);
+            };
+            let wakeUp = null; // Ends a backoff wait early when the client disconnects
 
-            const response = await fetch(endpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${config.apiKey}`,
-                },
-                body: JSON.stringify(payload),
-                signal: controller.signal,
+            // Abort the upstream request if the client disconnects (e.g. the user pressed Cancel)
+            res.on('close', () => {
+                if (!res.writableEnded) {
+                    clientGone = true;
+                    controller?.abort();
+                    wakeUp?.();
+                }
             });
 
-            clearTimeout(timeout);
+            let response;
+            for (let attempt = 0; ; attempt++) {
+                controller = new AbortController();
+                timedOut = false;
+                armTimeout(stream ? STREAM_IDLE_TIMEOUT_MS : REQUEST_TIMEOUT_MS);
+
+                let failure;
+                try {
+                    response = await fetch(request.url, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            ...request.headers,
+                        },
+                        body: JSON.stringify(request.body),
+                        signal: controller.signal,
+                    });
+                    if (response.ok) break;
+
+                    clearTimeout(timeout);
+                    const sanitized = sanitizeError(await response.text());
+                    console.error(`[${MODULE_NAME}] LLM API error (${response.status}):`, sanitized);
+                    failure = {
+                        status: response.status,
+                        error: `LLM API returned ${response.status}: ${sanitized.slice(0, 200)}`,
+                        retryable: isRetryableStatus(response.status),
+                        retryAfter: response.headers.get('retry-after'),
+                    };
+                } catch (err) {
+                    clearTimeout(timeout);
+                    if (clientGone || (err.name === 'AbortError' && !timedOut)) throw err;
+                    const cause = err.cause?.code || err.cause?.message || err.message;
+                    failure = {
+                        status: null,
+                        error: timedOut ? 'LLM request timed out' : `Could not reach the LLM API (${sanitizeError(String(cause))})`,
+                        retryable: true,
+                        retryAfter: null,
+                    };
+                    console.error(`[${MODULE_NAME}] ${failure.error}`);
+                }
+
+                const delay = failure.retryable && attempt < retries ? getRetryDelay(attempt, failure.retryAfter) : null;
+                const retrying = delay !== null && delay <= RETRY_MAX_WAIT_MS;
+                attempts.push({ status: failure.status, error: failure.error, retryInMs: retrying ? delay : null });
+                if (!retrying) {
+                    const status = failure.status === null && timedOut ? 504 : 502;
+                    return res.status(status).json({ error: failure.error, attempts });
+                }
+
+                console.warn(`[${MODULE_NAME}] Retrying in ${delay} ms (attempt ${attempt + 2} of ${retries + 1})`);
+                await new Promise(resolve => {
+                    const timer = setTimeout(resolve, delay);
+                    wakeUp = () => {
+                        clearTimeout(timer);
+                        resolve();
+                    };
+                });
+                wakeUp = null;
+                if (clientGone) {
+                    console.log(`[${MODULE_NAME}] Refine cancelled by client`);
+                    return;
+                }
+            }
+
+            if (stream) {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                });
+                res.flushHeaders?.();
+
+                const text = await relayStream(response, res, () => armTimeout(STREAM_IDLE_TIMEOUT_MS), provider);
+                clearTimeout(timeout);
 
-            if (!response.ok) {
-                const errorBody = await response.text();
-                const sanitized = sanitizeError(errorBody);
-                console.error(`[${MODULE_NAME}] LLM API error (${response.status}):`, sanitized);
-                return res.status(502).json({ error: `LLM API returned ${response.status}: ${sanitized.slice(0, 200)}` });
+                sendEvent(res, text ? { done: true, attempts } : { error: 'LLM returned an empty or malformed response', attempts });
+                return res.end();
             }
 
             const data = await response.json();
-            const text = data?.choices?.[0]?.message?.content;
+            clearTimeout(timeout);
+            // Providers that ignore `n` just return a single choice
+            const texts = provider.parseResponse(data)
+                .filter(text => typeof text === 'string' && text.trim());
 
-            if (!text) {
-                return res.status(502).json({ error: 'LLM returned an empty or malformed response' });
+            if (texts.length === 0) {
+                return res.status(502).json({ error: 'LLM returned an empty or malformed response', attempts });
             }
 
-            return res.json({ text });
+            return res.json({ text: texts[0], texts, attempts });
 
         } catch (err) {
-            if (err.name === 'AbortError') {
-                console.error(`[${MODULE_NAME}] LLM request timed out after ${REQUEST_TIMEOUT_MS}ms`);
-                return res.status(504).json({ error: 'LLM request timed out' });
+            clearTimeout(timeout);
+            let status = 500;
+            let error = 'Internal error during refinement';
+            if (clientGone) {
+                console.log(`[${MODULE_NAME}] Refine cancelled by client`);
+                return;
+            } else if (err.name === 'AbortError') {
+                console.error(`[${MODULE_NAME}] LLM request timed out`);
+                status = 504;
+                error = 'LLM request timed out';
+            } else {
+                console.error(`[${MODULE_NAME}] Refine error:`, sanitizeError(err.message));
+            }
+
+            // Once streaming has started the status is already sent — report in-band
+            if (res.headersSent) {
+                sendEvent(res, { error, attempts });
+                return res.end();
             }
-            console.error(`[${MODULE_NAME}] Refine error:`, sanitizeError(err.message));
-            return res.status(500).json({ error: 'Internal error during refinement' });
+            return res.status(status).json({ error, attempts });
         }
     });
 
-    console.log(`[${MODULE_NAME}] Plugin loaded. Config ${cachedConfig ? 'found' : 'not found — configure via UI'}.`);
+    const profileCount = Object.keys(cachedConfig?.profiles || {}).length;
+    console.log(`[${MODULE_NAME}] Plugin loaded. ${profileCount ? `${profileCount} connection profile(s) found` : 'Config not found — configure via UI'}.`);
 }
 
 async function exit() {
@@ -224,4 +1169,9 @@ module.exports = {
         name: 'ReDraft',
         description: 'Server-side proxy for ReDraft message refinement. Securely stores API credentials and proxies refinement requests to a separate LLM.',
     },
+    // Not used by SillyTavern; exported for the adapter tests
+    PROVIDERS,
+    relayStream,
+    resolveConnection,
+    classifyUpstreamError,
 };
@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtension } = require('./helpers/load-extension');
+const lcs = require('./fixtures/lcs-diff');
+
+const { computeWordDiff, tokenize } = loadExtension([
+    'tokenize',
+    'PARAGRAPH_ALIGN_THRESHOLD',
+    'MAX_DIFF_COST',
+    'internTokens',
+    'findMiddleSnake',
+    'diffRange',
+    'splitParagraphs',
+    'diffTokens',
+    'computeWordDiff',
+]);
+
+/** Seeded PRNG (mulberry32) so failures reproduce. */
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const WORDS = ['the', 'a', 'she', 'said', 'quietly', 'door', 'opened', 'and', 'light', 'fell', 'across', 'floor', '"Wait."', 'him,', 'her.', '*smiles*'];
+const SEPARATORS = [' ', ' ', ' ', ' ', '  ', '\n', '\n\n'];
+
+function randomText(random, words) {
+    const parts = [];
+    for (let i = 0; i < words; i++) {
+        if (i > 0) parts.push(SEPARATORS[Math.floor(random() * SEPARATORS.length)]);
+        parts.push(WORDS[Math.floor(random() * WORDS.length)]);
+    }
+    return parts.join('');
+}
+
+/** Randomly delete, insert and replace tokens, the way a refinement pass edits prose. */
+function mutate(random, text, rate) {
+    const out = [];
+    for (const token of tokenize(text)) {
+        const roll = random();
+        if (roll < rate / 3) continue;
+        if (roll < (rate * 2) / 3) out.push(WORDS[Math.floor(random() * WORDS.length)]);
+        else out.push(token);
+        if (random() < rate / 3) out.push(' ', WORDS[Math.floor(random() * WORDS.length)]);
+    }
+    return out.join('');
+}
+
+function rebuild(diff, side) {
+    const skip = side === 'original' ? 'insert' : 'delete';
+    return diff.filter(seg => seg.type !== skip).map(seg => seg.text).join('');
+}
+
+/** Number of tokens the diff keeps unchanged; the edit length follows from it. */
+function equalTokens(diff) {
+    return diff.filter(seg => seg.type === 'equal').reduce((n, seg) => n + tokenize(seg.text).length, 0);
+}
+
+function assertMinimalAndExact(original, refined) {
+    const diff = computeWordDiff(original, refined);
+    assert.strictEqual(rebuild(diff, 'original'), original, 'original side does not rebuild');
+    assert.strictEqual(rebuild(diff, 'refined'), refined, 'refined side does not rebuild');
+    assert.strictEqual(
+        equalTokens(diff),
+        equalTokens(lcs.computeWordDiff(original, refined)),
+        'edit length differs from the LCS diff',
+    );
+    for (let i = 1; i < diff.length; i++) {
+        assert.notStrictEqual(diff[i].type, diff[i - 1].type, 'adjacent segments of the same type');
+    }
+}
+
+const FIXED_CASES = [
+    ['', ''],
+    ['', 'Hello there.'],
+    ['Hello there.', ''],
+    ['Same text.', 'Same text.'],
+    ['The quick brown fox', 'The slow brown fox'],
+    ['She smiled.', 'She smiled warmly.'],
+    ['a b c d e', 'e d c b a'],
+    ['one two three', 'four five six'],
+    ['word  with   spacing', 'word with spacing'],
+    ['First paragraph.\n\nSecond paragraph.', 'First paragraph.\n\nA new one.\n\nSecond paragraph.'],
+    ['"Wait," he said. "Don\'t go."', '"Wait," he whispered. "Please don\'t go."'],
+    ['x x x x x', 'x x x'],
+];
+
+test('computeWordDiff matches the LCS edit length on fixed inputs', () => {
+    for (const [original, refined] of FIXED_CASES) {
+        assertMinimalAndExact(original, refined);
+    }
+});
+
+test('computeWordDiff matches the LCS edit length on randomized inputs', () => {
+    const random = createRandom(0x5EED);
+    for (let i = 0; i < 300; i++) {
+        const original = randomText(random, 1 + Math.floor(random() * 120));
+        const refined = mutate(random, original, [0.05, 0.2, 0.6][i % 3]);
+        assertMinimalAndExact(original, refined);
+    }
+});
+
+test('computeWordDiff rebuilds both sides of long texts', () => {
+    const random = createRandom(42);
+    const original = randomText(random, 3000);
+    const refined = mutate(random, original, 0.1);
+    const diff = computeWordDiff(original, refined);
+    assert.strictEqual(rebuild(diff, 'original'), original);
+    assert.strictEqual(rebuild(diff, 'refined'), refined);
+});
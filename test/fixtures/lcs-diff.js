@@ -0,0 +1,69 @@
+'use strict';
+
+// The quadratic LCS word diff that computeWordDiff used before it moved to
+// Myers' algorithm, kept verbatim as the reference the new engine is checked
+// against: both must find a minimal edit script.
+
+/**
+ * Tokenize text into words and whitespace for diffing.
+ * Keeps whitespace as separate tokens so formatting is preserved.
+ */
+function tokenize(text) {
+    return text.match(/\S+|\s+/g) || [];
+}
+
+/**
+ * Compute LCS (Longest Common Subsequence) table for two token arrays.
+ */
+function lcsTable(a, b) {
+    const m = a.length, n = b.length;
+    const dp = Array.from({ length: m + 1 }, () => new Uint16Array(n + 1));
+    for (let i = 1; i <= m; i++) {
+        for (let j = 1; j <= n; j++) {
+            dp[i][j] = a[i - 1] === b[j - 1]
+                ? dp[i - 1][j - 1] + 1
+                : Math.max(dp[i - 1][j], dp[i][j - 1]);
+        }
+    }
+    return dp;
+}
+
+/**
+ * Compute word-level diff between original and refined text.
+ * Returns array of {type: 'equal'|'delete'|'insert', text} segments.
+ */
+function computeWordDiff(original, refined) {
+    const a = tokenize(original);
+    const b = tokenize(refined);
+    const dp = lcsTable(a, b);
+
+    // Backtrace to build diff
+    const diff = [];
+    let i = a.length, j = b.length;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && a[i - 1] === b[j - 1]) {
+            diff.push({ type: 'equal', text: a[i - 1] });
+            i--; j--;
+        } else if (j > 0 && (i === 0 || dp[i][j - 1] >= dp[i - 1][j])) {
+            diff.push({ type: 'insert', text: b[j - 1] });
+            j--;
+        } else {
+            diff.push({ type: 'delete', text: a[i - 1] });
+            i--;
+        }
+    }
+    diff.reverse();
+
+    // Merge consecutive segments of the same type
+    const merged = [];
+    for (const seg of diff) {
+        if (merged.length > 0 && merged[merged.length - 1].type === seg.type) {
+            merged[merged.length - 1].text += seg.text;
+        } else {
+            merged.push({ ...seg });
+        }
+    }
+    return merged;
+}
+
+module.exports = { tokenize, lcsTable, computeWordDiff };
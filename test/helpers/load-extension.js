@@ -0,0 +1,40 @@
+'use strict';
+
+// index.js is a browser module that expects the SillyTavern global, so tests
+// pull the top-level declarations they need out of the source and evaluate
+// them in a sandbox instead of importing the whole file.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', '..', 'index.js'), 'utf8');
+
+/**
+ * Source text of a top-level function or const/let declaration.
+ * Relies on the file's formatting: declarations start at column 0 and
+ * multi-line ones close with a brace or bracket at column 0.
+ */
+function extractDeclaration(name) {
+    const start = new RegExp(`^(?:async )?(?:function\\*? ${name}\\b|(?:const|let) ${name}\\b)`, 'm').exec(SOURCE);
+    if (!start) throw new Error(`Declaration not found in index.js: ${name}`);
+    const lineEnd = SOURCE.indexOf('\n', start.index);
+    const firstLine = SOURCE.slice(start.index, lineEnd);
+    if (/;\s*(\/\/.*)?$/.test(firstLine)) return firstLine;
+    const close = /\n[}\]][)]?;?\n/.exec(SOURCE.slice(lineEnd));
+    if (!close) throw new Error(`Could not find the end of ${name} in index.js`);
+    return SOURCE.slice(start.index, lineEnd + close.index + close[0].length);
+}
+
+/**
+ * Evaluate the named declarations from index.js and return them by name.
+ * @param {string[]} names Declarations to load, dependencies included
+ * @param {object} [globals] Extra globals for the sandbox
+ */
+function loadExtension(names, globals = {}) {
+    const context = vm.createContext({ console, ...globals });
+    const code = names.map(extractDeclaration).join('\n') + `\n;({ ${names.join(', ')} })`;
+    return vm.runInContext(code, context, { filename: 'index.js' });
+}
+
+module.exports = { loadExtension };
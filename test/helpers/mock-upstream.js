@@ -0,0 +1,196 @@
+'use strict';
+
+// A local stand-in for the LLM APIs the server plugin talks to. Each provider
+// lives under its own path prefix and answers in that provider's real response
+// shape, including streams and error bodies:
+//   - key "bad-key"          → the provider's authentication error
+//   - model "missing-model"  → the provider's unknown-model error
+//   - model "stream-error"   → a stream that fails after its first chunk
+//                              (providers that report errors in-stream)
+
+const http = require('http');
+
+const REPLY_CHUNKS = ['Refined', ' text', '.'];
+const REPLY = REPLY_CHUNKS.join('');
+
+/** Reply for candidate i, so multi-candidate responses can be told apart. */
+function candidateText(i) {
+    return i === 0 ? REPLY : `${REPLY} (${i + 1})`;
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Write a stream one event per write, splitting the first event mid-line so
+ * clients have to buffer partial lines.
+ */
+function sendStream(res, contentType, events) {
+    res.writeHead(200, { 'Content-Type': contentType });
+    const [first, ...rest] = events;
+    const half = Math.floor(first.length / 2);
+    const writes = [first.slice(0, half), first.slice(half), ...rest];
+    let i = 0;
+    const next = () => {
+        if (i >= writes.length) return res.end();
+        res.write(writes[i++]);
+        setImmediate(next);
+    };
+    next();
+}
+
+function sse(data, event) {
+    return `${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+}
+
+const HANDLERS = {
+    openai({ req, res, body }) {
+        if (req.headers.authorization !== 'Bearer good-key') {
+            return sendJson(res, 401, { error: { message: 'Incorrect API key provided', type: 'invalid_request_error', code: 'invalid_api_key' } });
+        }
+        if (req.method === 'GET' && req.path === '/models') {
+            return sendJson(res, 200, { object: 'list', data: [{ id: 'gpt-test', object: 'model' }, { id: 'gpt-test-mini', object: 'model' }] });
+        }
+        if (body.model === 'missing-model') {
+            return sendJson(res, 404, { error: { message: 'The model `missing-model` does not exist', type: 'invalid_request_error', code: 'model_not_found' } });
+        }
+        if (body.stream) {
+            const events = REPLY_CHUNKS.map(content => sse({ choices: [{ index: 0, delta: { content } }] }));
+            return sendStream(res, 'text/event-stream', [sse({ choices: [{ index: 0, delta: { role: 'assistant' } }] }), ...events, sse('[DONE]')]);
+        }
+        const choices = Array.from({ length: body.n || 1 }, (_, i) => ({ index: i, message: { role: 'assistant', content: candidateText(i) }, finish_reason: 'stop' }));
+        sendJson(res, 200, { id: 'chatcmpl-test', object: 'chat.completion', choices });
+    },
+
+    anthropic({ req, res, body }) {
+        if (req.headers['x-api-key'] !== 'good-key') {
+            return sendJson(res, 401, { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } });
+        }
+        if (req.method === 'GET' && req.path === '/models') {
+            return sendJson(res, 200, { data: [{ type: 'model', id: 'claude-test' }], has_more: false });
+        }
+        if (body.model === 'missing-model') {
+            return sendJson(res, 404, { type: 'error', error: { type: 'not_found_error', message: 'model: missing-model' } });
+        }
+        if (body.stream) {
+            const deltas = REPLY_CHUNKS.map(text => sse({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } }, 'content_block_delta'));
+            if (body.model === 'stream-error') {
+                deltas.splice(1, deltas.length, sse({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }, 'error'));
+            }
+            return sendStream(res, 'text/event-stream', [
+                sse({ type: 'message_start', message: { id: 'msg_test', role: 'assistant', content: [] } }, 'message_start'),
+                sse({ type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }, 'content_block_start'),
+                sse({ type: 'ping' }, 'ping'),
+                ...deltas,
+                sse({ type: 'content_block_stop', index: 0 }, 'content_block_stop'),
+                sse({ type: 'message_stop' }, 'message_stop'),
+            ]);
+        }
+        sendJson(res, 200, {
+            id: 'msg_test',
+            type: 'message',
+            role: 'assistant',
+            content: [{ type: 'text', text: 'Refined' }, { type: 'tool_use', id: 'tool', name: 'x', input: {} }, { type: 'text', text: ' text.' }],
+            stop_reason: 'end_turn',
+        });
+    },
+
+    gemini({ req, res, body }) {
+        if (req.headers['x-goog-api-key'] !== 'good-key') {
+            return sendJson(res, 400, { error: { code: 400, message: 'API key not valid. Please pass a valid API key.', status: 'INVALID_ARGUMENT' } });
+        }
+        if (req.method === 'GET' && req.path === '/models') {
+            return sendJson(res, 200, {
+                models: [
+                    { name: 'models/gemini-test', supportedGenerationMethods: ['generateContent', 'countTokens'] },
+                    { name: 'models/embedding-test', supportedGenerationMethods: ['embedContent'] },
+                ],
+            });
+        }
+        const match = /^\/models\/([^:]+):(generateContent|streamGenerateContent)$/.exec(req.path);
+        if (!match) return sendJson(res, 404, { error: { code: 404, message: 'Not found', status: 'NOT_FOUND' } });
+        const model = decodeURIComponent(match[1]);
+        if (model === 'missing-model') {
+            return sendJson(res, 404, { error: { code: 404, message: 'models/missing-model is not found for API version v1beta', status: 'NOT_FOUND' } });
+        }
+        if (match[2] === 'streamGenerateContent') {
+            const events = REPLY_CHUNKS.map(text => sse({ candidates: [{ content: { role: 'model', parts: [{ text }] }, index: 0 }] }));
+            if (model === 'stream-error') events.splice(1, events.length, sse({ error: { code: 500, message: 'Internal error encountered.', status: 'INTERNAL' } }));
+            return sendStream(res, 'text/event-stream', events);
+        }
+        const count = body.generationConfig?.candidateCount || 1;
+        const candidates = Array.from({ length: count }, (_, i) => ({
+            content: { role: 'model', parts: [{ text: candidateText(i).slice(0, 7) }, { text: candidateText(i).slice(7) }] },
+            finishReason: 'STOP',
+            index: i,
+        }));
+        sendJson(res, 200, { candidates });
+    },
+
+    ollama({ req, res, body }) {
+        if (req.method === 'GET' && req.path === '/api/tags') {
+            return sendJson(res, 200, { models: [{ name: 'llama-test:latest', model: 'llama-test:latest' }] });
+        }
+        if (body.model === 'missing-model') {
+            return sendJson(res, 404, { error: 'model "missing-model" not found, try pulling it first' });
+        }
+        if (body.stream) {
+            const lines = REPLY_CHUNKS.map(content => JSON.stringify({ model: body.model, message: { role: 'assistant', content }, done: false }) + '\n');
+            if (body.model === 'stream-error') lines.splice(1, lines.length, JSON.stringify({ error: 'out of memory' }) + '\n');
+            lines.push(JSON.stringify({ model: body.model, message: { role: 'assistant', content: '' }, done: true }) + '\n');
+            return sendStream(res, 'application/x-ndjson', lines);
+        }
+        sendJson(res, 200, { model: body.model, message: { role: 'assistant', content: REPLY }, done: true });
+    },
+
+    kobold({ req, res, body }) {
+        if (req.method === 'GET' && req.path === '/api/v1/model') {
+            return sendJson(res, 200, { result: 'koboldcpp/test-model' });
+        }
+        if (req.path === '/api/extra/generate/stream') {
+            return sendStream(res, 'text/event-stream', REPLY_CHUNKS.map(token => sse({ token, finish_reason: null }, 'message')));
+        }
+        if (typeof body.prompt !== 'string') {
+            return sendJson(res, 422, { detail: { msg: 'prompt: field required', type: 'bad_input' } });
+        }
+        sendJson(res, 200, { results: [{ text: REPLY, finish_reason: 'stop' }] });
+    },
+};
+
+/**
+ * Start the mock on a free port.
+ * @returns {Promise<{url: string, requests: Array<{provider: string, method: string, path: string, headers: object, body: object}>, close: () => Promise<void>}>}
+ *   url: base URL; a provider's API lives at `${url}/${provider}`. requests: every request received, in order.
+ */
+async function startMockUpstream() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const [, provider, ...rest] = url.pathname.split('/');
+            req.path = '/' + rest.join('/');
+            let body = {};
+            try {
+                body = raw ? JSON.parse(raw) : {};
+            } catch {
+                return sendJson(res, 400, { error: 'invalid JSON' });
+            }
+            requests.push({ provider, method: req.method, path: req.path, search: url.search, headers: req.headers, body });
+            const handler = HANDLERS[provider];
+            if (!handler) return sendJson(res, 404, { error: `unknown provider ${provider}` });
+            handler({ req, res, body });
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(() => resolve())),
+    };
+}
+
+module.exports = { startMockUpstream, REPLY, REPLY_CHUNKS, candidateText };
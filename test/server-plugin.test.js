@@ -0,0 +1,365 @@
+'use strict';
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { PROVIDERS, relayStream, classifyUpstreamError, resolveConnection } = require('../server-plugin');
+const { startMockUpstream, REPLY, REPLY_CHUNKS, candidateText } = require('./helpers/mock-upstream');
+
+const MESSAGES = [
+    { role: 'system', content: 'You refine roleplay messages.' },
+    { role: 'user', content: 'Refine this.' },
+    { role: 'assistant', content: 'Understood.' },
+    { role: 'user', content: 'Original text.' },
+];
+
+const SAMPLING = { temperature: 0.3, maxTokens: 512 };
+const FULL_SAMPLING = { temperature: 0.7, maxTokens: 1024, topP: 0.9, frequencyPenalty: 0.2, presencePenalty: 0.1, stop: ['\n\nUser:'] };
+
+/** Send a request built by an adapter, the way the plugin does. */
+function send(request) {
+    return fetch(request.url, {
+        method: request.body ? 'POST' : 'GET',
+        headers: request.body ? { 'Content-Type': 'application/json', ...request.headers } : request.headers,
+        body: request.body ? JSON.stringify(request.body) : undefined,
+    });
+}
+
+/** Stand-in for the Express response relayStream writes events to. */
+function createEventSink() {
+    const sink = { raw: '', write(chunk) { sink.raw += chunk; } };
+    sink.events = () => sink.raw.split('\n\n').filter(Boolean).map(event => JSON.parse(event.replace(/^data: /, '')));
+    return sink;
+}
+
+let upstream;
+before(async () => { upstream = await startMockUpstream(); });
+after(async () => { await upstream.close(); });
+
+/** Profile for a provider, pointed at the mock. */
+function profileFor(provider, overrides = {}) {
+    return { provider, apiUrl: `${upstream.url}/${provider}`, apiKey: 'good-key', model: `${provider}-test`, ...overrides };
+}
+
+/** Run a streamed request through relayStream and return the text and the client events. */
+async function relay(provider, profile) {
+    const adapter = PROVIDERS[provider];
+    const response = await send(adapter.buildRequest(profile, { messages: MESSAGES, stream: true, n: 1, sampling: SAMPLING }));
+    assert.strictEqual(response.status, 200);
+    const sink = createEventSink();
+    let activity = 0;
+    const text = await relayStream(response, sink, () => activity++, adapter);
+    return { text, events: sink.events(), activity };
+}
+
+/** Fetch an upstream error and classify it as the plugin would. */
+async function upstreamError(request) {
+    const response = await send(request);
+    assert.ok(!response.ok, `expected an error response, got ${response.status}`);
+    return classifyUpstreamError({ status: response.status, body: await response.text() });
+}
+
+function lastRequest() {
+    return upstream.requests[upstream.requests.length - 1];
+}
+
+describe('openai adapter', () => {
+    const adapter = PROVIDERS.openai;
+
+    test('buildRequest sends the chat as-is with every sampling parameter', () => {
+        const request = adapter.buildRequest(profileFor('openai'), { messages: MESSAGES, stream: false, n: 1, sampling: FULL_SAMPLING });
+        assert.strictEqual(request.url, `${upstream.url}/openai/chat/completions`);
+        assert.deepStrictEqual(request.headers, { 'Authorization': 'Bearer good-key' });
+        assert.deepStrictEqual(request.body, {
+            model: 'openai-test',
+            messages: MESSAGES,
+            max_tokens: 1024,
+            temperature: 0.7,
+            top_p: 0.9,
+            frequency_penalty: 0.2,
+            presence_penalty: 0.1,
+            stop: ['\n\nUser:'],
+            stream: false,
+        });
+    });
+
+    test('buildRequest leaves out unset parameters and only asks for n when above 1', () => {
+        const single = adapter.buildRequest(profileFor('openai'), { messages: MESSAGES, stream: false, n: 1, sampling: SAMPLING });
+        assert.deepStrictEqual(Object.keys(single.body).sort(), ['max_tokens', 'messages', 'model', 'stream', 'temperature']);
+        const multi = adapter.buildRequest(profileFor('openai'), { messages: MESSAGES, stream: false, n: 3, sampling: SAMPLING });
+        assert.strictEqual(multi.body.n, 3);
+    });
+
+    test('parseResponse returns one text per choice', async () => {
+        const response = await send(adapter.buildRequest(profileFor('openai'), { messages: MESSAGES, stream: false, n: 2, sampling: SAMPLING }));
+        assert.deepStrictEqual(adapter.parseResponse(await response.json()), [candidateText(0), candidateText(1)]);
+        assert.deepStrictEqual(adapter.parseResponse({}), []);
+    });
+
+    test('stream chunks relay as deltas, skipping role-only chunks and [DONE]', async () => {
+        const { text, events, activity } = await relay('openai', profileFor('openai'));
+        assert.strictEqual(text, REPLY);
+        assert.deepStrictEqual(events, REPLY_CHUNKS.map(delta => ({ delta })));
+        assert.ok(activity > 0);
+        assert.strictEqual(adapter.parseStreamChunk({ choices: [{ delta: { role: 'assistant' } }] }), '');
+    });
+
+    test('error bodies classify as auth and model failures', async () => {
+        const auth = await upstreamError(adapter.buildRequest(profileFor('openai', { apiKey: 'bad-key' }), { messages: MESSAGES, stream: false, n: 1, sampling: SAMPLING }));
+        assert.strictEqual(auth.errorType, 'auth');
+        assert.match(auth.error, /Incorrect API key/);
+        const model = await upstreamError(adapter.buildRequest(profileFor('openai', { model: 'missing-model' }), { messages: MESSAGES, stream: false, n: 1, sampling: SAMPLING }));
+        assert.strictEqual(model.errorType, 'model');
+    });
+
+    test('models are listed by id', async () => {
+        const response = await send(adapter.buildModelsRequest(profileFor('openai')));
+        assert.deepStrictEqual(adapter.parseModels(await response.json()), ['gpt-test', 'gpt-test-mini']);
+    });
+});
+
+describe('anthropic adapter', () => {
+    const adapter = PROVIDERS.anthropic;
+
+    test('buildRequest moves system messages to the system field', () => {
+        const request = adapter.buildRequest(profileFor('anthropic'), { messages: MESSAGES, stream: false, n: 1, sampling: FULL_SAMPLING });
+        assert.strictEqual(request.url, `${upstream.url}/anthropic/messages`);
+        assert.deepStrictEqual(request.headers, { 'x-api-key': 'good-key', 'anthropic-version': '2023-06-01' });
+        assert.deepStrictEqual(request.body, {
+            model: 'anthropic-test',
+            system: 'You refine roleplay messages.',
+            messages: MESSAGES.slice(1),
+            max_tokens: 1024,
+            temperature: 0.7,
+            top_p: 0.9,
+            stop_sequences: ['\n\nUser:'],
+            stream: false,
+        });
+    });
+
+    test('parseResponse joins the text blocks and ignores the rest', async () => {
+        const response = await send(adapter.buildRequest(profileFor('anthropic'), { messages: MESSAGES, stream: false, n: 1, sampling: SAMPLING }));
+        assert.deepStrictEqual(adapter.parseResponse(await response.json()), [REPLY]);
+    });
+
+    test('stream chunks relay text deltas and skip the other event types', async () => {
+        const { text, events } = await relay('anthropic', profileFor('anthropic'));
+        assert.strictEqual(text, REPLY);
+        assert.deepStrictEqual(events, REPLY_CHUNKS.map(delta => ({ delta })));
+    });
+
+    test('an error event in the stream rejects with its message', async () => {
+        await assert.rejects(relay('anthropic', profileFor('anthropic', { model: 'stream-error' })), /Overloaded/);
+        assert.throws(() => adapter.parseStreamChunk({ type: 'error', error: {} }), /Anthropic stream error/);
+    });
+
+    test('error bodies classify as auth and model failures', async () => {
+        const auth = await upstreamError(adapter.buildRequest(profileFor('anthropic', { apiKey: 'bad-key' }), { messages: MESSAGES, stream: false, n: 1, sampling: SAMPLING }));
+        assert.strictEqual(auth.errorType, 'auth');
+        const model = await upstreamError(adapter.buildRequest(profileFor('anthropic', { model: 'missing-model' }), { messages: MESSAGES, stream: false, n: 1, sampling: SAMPLING }));
+        assert.strictEqual(model.errorType, 'model');
+    });
+
+    test('models are listed by id', async () => {
+        const response = await send(adapter.buildModelsRequest(profileFor('anthropic')));
+        assert.strictEqual(lastRequest().search, '?limit=1000');
+        assert.deepStrictEqual(adapter.parseModels(await response.json()), ['claude-test']);
+    });
+});
+
+describe('gemini adapter', () => {
+    const adapter = PROVIDERS.gemini;
+
+    test('buildRequest maps roles, the system instruction and generation config', () => {
+        const request = adapter.buildRequest(profileFor('gemini'), { messages: MESSAGES, stream: false, n: 2, sampling: FULL_SAMPLING });
+        assert.strictEqual(request.url, `${upstream.url}/gemini/models/gemini-test:generateContent`);
+        assert.deepStrictEqual(request.headers, { 'x-goog-api-key': 'good-key' });
+        assert.deepStrictEqual(request.body, {
+            contents: [
+                { role: 'user', parts: [{ text: 'Refine this.' }] },
+                { role: 'model', parts: [{ text: 'Understood.' }] },
+                { role: 'user', parts: [{ text: 'Original text.' }] },
+            ],
+            generationConfig: {
+                maxOutputTokens: 1024,
+                temperature: 0.7,
+                topP: 0.9,
+                frequencyPenalty: 0.2,
+                presencePenalty: 0.1,
+                stopSequences: ['\n\nUser:'],
+                candidateCount: 2,
+            },
+            systemInstruction: { parts: [{ text: 'You refine roleplay messages.' }] },
+        });
+    });
+
+    test('buildRequest uses the SSE endpoint when streaming', () => {
+        const request = adapter.buildRequest(profileFor('gemini'), { messages: MESSAGES, stream: true, n: 1, sampling: SAMPLING });
+        assert.strictEqual(request.url, `${upstream.url}/gemini/models/gemini-test:streamGenerateContent?alt=sse`);
+    });
+
+    test('parseResponse joins the parts of each candidate', async () => {
+        const response = await send(adapter.buildRequest(profileFor('gemini'), { messages: MESSAGES, stream: false, n: 2, sampling: SAMPLING }));
+        assert.deepStrictEqual(adapter.parseResponse(await response.json()), [candidateText(0), candidateText(1)]);
+    });
+
+    test('stream chunks relay the first candidate\'s text', async () => {
+        const { text, events } = await relay('gemini', profileFor('gemini'));
+        assert.strictEqual(text, REPLY);
+        assert.deepStrictEqual(events, REPLY_CHUNKS.map(delta => ({ delta })));
+    });
+
+    test('an error object in the stream rejects with its message', async () => {
+        await assert.rejects(relay('gemini', profileFor('gemini', { model: 'stream-error' })), /Internal error encountered/);
+    });
+
+    test('error bodies keep the upstream message', async () => {
+        const auth = await upstreamError(adapter.buildRequest(profileFor('gemini', { apiKey: 'bad-key' }), { messages: MESSAGES, stream: false, n: 1, sampling: SAMPLING }));
+        assert.match(auth.error, /API key not valid/);
+        const model = await upstreamError(adapter.buildRequest(profileFor('gemini', { model: 'missing-model' }), { messages: MESSAGES, stream: false, n: 1, sampling: SAMPLING }));
+        assert.strictEqual(model.errorType, 'model');
+    });
+
+    test('models drop the "models/" prefix and exclude non-generative ones', async () => {
+        const response = await send(adapter.buildModelsRequest(profileFor('gemini')));
+        assert.deepStrictEqual(adapter.parseModels(await response.json()), ['gemini-test']);
+    });
+});
+
+describe('ollama adapter', () => {
+    const adapter = PROVIDERS.ollama;
+
+    test('buildRequest puts sampling under options and only sends a key when set', () => {
+        const request = adapter.buildRequest(profileFor('ollama', { apiKey: '' }), { messages: MESSAGES, stream: false, n: 1, sampling: FULL_SAMPLING });
+        assert.strictEqual(request.url, `${upstream.url}/ollama/api/chat`);
+        assert.deepStrictEqual(request.headers, {});
+        assert.deepStrictEqual(request.body, {
+            model: 'ollama-test',
+            messages: MESSAGES,
+            stream: false,
+            options: { num_predict: 1024, temperature: 0.7, top_p: 0.9, frequency_penalty: 0.2, presence_penalty: 0.1, stop: ['\n\nUser:'] },
+        });
+        const keyed = adapter.buildRequest(profileFor('ollama'), { messages: MESSAGES, stream: false, n: 1, sampling: SAMPLING });
+        assert.deepStrictEqual(keyed.headers, { 'Authorization': 'Bearer good-key' });
+    });
+
+    test('parseResponse returns the message content', async () => {
+        const response = await send(adapter.buildRequest(profileFor('ollama'), { messages: MESSAGES, stream: false, n: 1, sampling: SAMPLING }));
+        assert.deepStrictEqual(adapter.parseResponse(await response.json()), [REPLY]);
+    });
+
+    test('NDJSON stream lines relay as deltas', async () => {
+        const { text, events } = await relay('ollama', profileFor('ollama'));
+        assert.strictEqual(text, REPLY);
+        assert.deepStrictEqual(events, REPLY_CHUNKS.map(delta => ({ delta })));
+    });
+
+    test('an error line in the stream rejects with its message', async () => {
+        await assert.rejects(relay('ollama', profileFor('ollama', { model: 'stream-error' })), /out of memory/);
+    });
+
+    test('a missing model classifies as a model failure', async () => {
+        const model = await upstreamError(adapter.buildRequest(profileFor('ollama', { model: 'missing-model' }), { messages: MESSAGES, stream: false, n: 1, sampling: SAMPLING }));
+        assert.strictEqual(model.errorType, 'model');
+        assert.match(model.error, /try pulling it first/);
+    });
+
+    test('models are listed by name', async () => {
+        const response = await send(adapter.buildModelsRequest(profileFor('ollama')));
+        assert.deepStrictEqual(adapter.parseModels(await response.json()), ['llama-test:latest']);
+    });
+});
+
+describe('kobold adapter', () => {
+    const adapter = PROVIDERS.kobold;
+
+    test('buildRequest flattens the chat into a prompt', () => {
+        const request = adapter.buildRequest(profileFor('kobold', { apiKey: '' }), { messages: MESSAGES, stream: false, n: 1, sampling: FULL_SAMPLING });
+        assert.strictEqual(request.url, `${upstream.url}/kobold/api/v1/generate`);
+        assert.deepStrictEqual(request.headers, {});
+        assert.deepStrictEqual(request.body, {
+            prompt: 'You refine roleplay messages.\n\nRefine this.\n\nUnderstood.\n\nOriginal text.\n\n',
+            max_length: 1024,
+            temperature: 0.7,
+            top_p: 0.9,
+            stop_sequence: ['\n\nUser:'],
+        });
+    });
+
+    test('parseResponse returns one text per result', async () => {
+        const response = await send(adapter.buildRequest(profileFor('kobold'), { messages: MESSAGES, stream: false, n: 1, sampling: SAMPLING }));
+        assert.deepStrictEqual(adapter.parseResponse(await response.json()), [REPLY]);
+    });
+
+    test('stream tokens relay as deltas', async () => {
+        const { text, events } = await relay('kobold', profileFor('kobold'));
+        assert.strictEqual(lastRequest().path, '/api/extra/generate/stream');
+        assert.strictEqual(text, REPLY);
+        assert.deepStrictEqual(events, REPLY_CHUNKS.map(delta => ({ delta })));
+    });
+
+    test('a validation error body is reported as an upstream failure', async () => {
+        const failure = await upstreamError({ url: `${upstream.url}/kobold/api/v1/generate`, headers: {}, body: { max_length: 10 } });
+        assert.strictEqual(failure.errorType, 'upstream');
+        assert.match(failure.error, /422.*prompt: field required/);
+    });
+
+    test('the loaded model is the only one listed', async () => {
+        const response = await send(adapter.buildModelsRequest(profileFor('kobold')));
+        assert.deepStrictEqual(adapter.parseModels(await response.json()), ['koboldcpp/test-model']);
+    });
+});
+
+describe('resolveConnection', () => {
+    const configPath = path.join(__dirname, '..', 'server-plugin', 'config.json');
+    let savedConfig = null;
+
+    before(() => {
+        // The plugin reads config.json from its own directory; keep a developer's real one intact
+        if (fs.existsSync(configPath)) savedConfig = fs.readFileSync(configPath, 'utf-8');
+        fs.writeFileSync(configPath, JSON.stringify({
+            defaultProfile: 'Main',
+            profiles: {
+                Main: { provider: 'openai', apiUrl: 'https://api.example.com/v1', apiKey: 'sk-saved-secret', model: 'gpt-test' },
+            },
+        }));
+    });
+    after(() => {
+        if (savedConfig !== null) fs.writeFileSync(configPath, savedConfig);
+        else fs.rmSync(configPath, { force: true });
+    });
+
+    test('reuses the saved key for the URL the profile is saved with', () => {
+        for (const body of [
+            { profile: 'Main', provider: 'openai', apiUrl: 'https://api.example.com/v1/', model: 'gpt-test' },
+            { provider: 'openai', apiUrl: 'https://api.example.com/v1', model: 'gpt-test' },
+        ]) {
+            const result = resolveConnection(body);
+            assert.strictEqual(result.profile?.apiKey, 'sk-saved-secret');
+        }
+    });
+
+    test('does not send the saved key to another URL, even with the profile named', () => {
+        for (const body of [
+            { profile: 'Main', provider: 'openai', apiUrl: 'https://attacker.example.net/v1', model: 'gpt-test' },
+            { provider: 'openai', apiUrl: 'https://attacker.example.net/v1', model: 'gpt-test' },
+        ]) {
+            const result = resolveConnection(body);
+            assert.strictEqual(result.status, 400);
+            assert.match(result.error, /apiKey is required/);
+        }
+    });
+
+    test('does not treat inherited object keys as profiles', () => {
+        for (const profile of ['constructor', '__proto__', 'toString']) {
+            const result = resolveConnection({ profile });
+            assert.strictEqual(result.status, 404, profile);
+        }
+    });
+
+    test('uses a key sent with a foreign URL', () => {
+        const result = resolveConnection({ profile: 'Main', provider: 'openai', apiUrl: 'https://other.example.net/v1', apiKey: 'sk-typed', model: 'gpt-test' });
+        assert.strictEqual(result.profile?.apiKey, 'sk-typed');
+    });
+});